@@ -0,0 +1,41 @@
+// Simplified Chinese (zh-CN) for members from the mainland. The export only has Hong Kong
+// (traditional) and English rows, so the zh-CN text is derived from the zh-HK one with
+// data/t2s.json, a character -> character table. One character for one keeps string
+// positions lined up, so search hits in the zh-HK text also mark the zh-CN one.
+
+// canonical record fields (see ingest.js) holding text to convert
+const SIMPLIFIED_RECORD_FIELDS = ['name', 'displayName', 'title', 'specialty', 'city', 'state', 'district', 'area', 'address', 'hours', 'remark', 'price', 'note', 'ctaText'];
+
+// "鄭至東醫生" -> "郑至东医生"; characters missing from the table stay as they are
+function toSimplified(text, table) {
+	if (!text || !table) return text;
+	let out = '';
+	for (const c of text.toString()) out += table[c] || c;
+	return out;
+}
+
+// Give doctors with zh-HK text a zh-CN copy of it: every per-language map (names, addresses, ... see
+// doctors.js), plus a converted canonical record for the exports. Doctors that already have zh-CN rows keep their own.
+// Derived languages are listed on d.derivedLanguages (the shortlist leaves them out of its snapshots).
+function addSimplifiedChinese(doctors, table) {
+	if (!table || !Object.keys(table).length) return doctors;
+	doctors.forEach(d => {
+		const source = d.records && d.records['zh-HK'];
+		if (!source || d.records['zh-CN']) return;
+		Object.values(d).forEach(map => {
+			if (map && typeof map['zh-HK'] === 'string' && map['zh-HK'] && !map['zh-CN']) map['zh-CN'] = toSimplified(map['zh-HK'], table);
+		});
+		const record = Object.assign({}, source, { lang: 'zh-CN' });
+		SIMPLIFIED_RECORD_FIELDS.forEach(f => { if (typeof record[f] === 'string') record[f] = toSimplified(record[f], table); });
+		d.records['zh-CN'] = record;
+		d.derivedLanguages = (d.derivedLanguages || []).concat('zh-CN');
+	});
+	return doctors;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		toSimplified,
+		addSimplifiedChinese
+	};
+}
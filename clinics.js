@@ -0,0 +1,190 @@
+// Clinics: the doctors listed at one place. Group practices export one row per doctor, so
+// doctors sharing an address (in any language), or the same coordinates, district and unit, form one clinic.
+
+const clinicHoursApi = typeof module === 'object' && module.exports ? require('./hours.js') : globalThis;
+
+// addresses shorter than this after normalising ("中環", "TBC") are too vague to group on
+const MIN_ADDRESS_KEY_LENGTH = 8;
+
+// "銅鑼灣記利佐治街1號 金百利16樓1602室" and "銅鑼灣記利佐治街1號金百利16樓1602室" -> same key;
+// full-width digits / letters fold to ASCII, spacing and punctuation are dropped
+function addressKey(address) {
+	const key = (address || '').toString().normalize('NFKC').toLowerCase()
+		.replace(/[\s,.:;#'"()\[\]\-–—_/、，。：；（）]/g, '');
+	return key.length >= MIN_ADDRESS_KEY_LENGTH ? key : '';
+}
+
+// ~1 m: the export repeats the geocoder's value verbatim for doctors in the same clinic
+function coordinateKey(lat, lng) {
+	return typeof lat === 'number' && typeof lng === 'number' ? `${lat.toFixed(5)},${lng.toFixed(5)}` : '';
+}
+
+// "...嘉賓大廈13樓1301室" -> "1301", "...商場1樓75號A舖" -> "75a", "...新達廣場L170舖" -> "l170";
+// '' when the address doesn't end in a room / shop number ("彌敦道238號18樓")
+function unitKey(address) {
+	const tail = (address || '').toString().normalize('NFKC').toLowerCase()
+		.replace(/[\s,.:;#'"()\[\]\-–—_/、，。：；（）]/g, '')
+		.replace(/(商舖|商鋪|[舖鋪铺室號号])+$/, '');
+	const m = tail.match(/([a-z]*\d+)[號号]?([a-z]*)$/);
+	return m ? m[1] + m[2] : '';
+}
+
+// The geocoder gives every unit in a building the same point, and now and then a wrong point
+// shared with another building, so coordinates only link doctors in the same district and unit.
+// -> one key per language the doctor has both a district and an address in
+function premisesKeys(d) {
+	const coord = coordinateKey(d.lat, d.lng);
+	if (!coord) return [];
+	return Object.keys(d.addresses || {}).map(lang => {
+		const district = (d.districts || {})[lang];
+		const unit = unitKey(d.addresses[lang]);
+		return district && unit ? `p:${coord}|${district}|${unit}` : '';
+	}).filter(Boolean);
+}
+
+// Rows of one language at the same coordinates but in different districts: the geocoder put
+// two buildings on one point. buildClinics keeps them apart; the data team should fix the point.
+// -> [{ lat, lng, lang, districts: [...], rows: [...] }]
+function coordinateClashes(records) {
+	const byPoint = new Map();
+	records.forEach(r => {
+		const coord = coordinateKey(r.lat, r.lng);
+		if (!coord || !r.district) return;
+		const key = `${r.lang}|${coord}`;
+		if (!byPoint.has(key)) byPoint.set(key, []);
+		byPoint.get(key).push(r);
+	});
+	const clashes = [];
+	byPoint.forEach(list => {
+		const districts = [...new Set(list.map(r => r.district))];
+		if (districts.length < 2) return;
+		clashes.push({ lat: list[0].lat, lng: list[0].lng, lang: list[0].lang, districts, rows: list.map(r => r.row) });
+	});
+	return clashes;
+}
+
+// One schedule covering all of a clinic's doctors: the clinic is open whenever any of them sees patients.
+function combineSchedules(schedules) {
+	const list = schedules.filter(Boolean);
+	const merge = pick => {
+		const parts = list.map(pick).filter(s => s !== null && s !== undefined);
+		return parts.length ? clinicHoursApi.mergeSessions([].concat(...parts)) : null;
+	};
+	const week = [0, 1, 2, 3, 4, 5, 6].map(day => merge(s => s.week[day]));
+	return {
+		raw: '',
+		week,
+		holiday: merge(s => s.holiday),
+		byAppointment: list.some(s => s.byAppointment),
+		unparsed: [],
+		ok: true
+	};
+}
+
+// Days with the same sessions, in week order from Monday: [{ days: [1, 2, 3, 4, 5], sessions }]
+// (closed and unknown days are left out)
+function weekHourRows(schedule) {
+	const rows = [];
+	[1, 2, 3, 4, 5, 6, 0].forEach(day => {
+		const sessions = schedule.week[day];
+		if (!sessions || !sessions.length) return;
+		const key = sessions.map(clinicHoursApi.formatSession).join(',');
+		const last = rows[rows.length - 1];
+		if (last && last.key === key && (last.days[last.days.length - 1] + 1) % 7 === day) last.days.push(day);
+		else rows.push({ key, days: [day], sessions });
+	});
+	return rows.map(({ days, sessions }) => ({ days, sessions }));
+}
+
+function distinctPhones(values) {
+	const seen = new Map();
+	values.filter(Boolean).forEach(v => {
+		const digits = v.replace(/\D/g, '').replace(/^852(?=\d{8}$)/, '');
+		if (!seen.has(digits)) seen.set(digits, v);
+	});
+	return [...seen.values()];
+}
+
+// Group doctor objects (see script.js mergeByDocId) into clinics.
+// -> { clinics: [{ id, doctors, lat, lng, schedule, phones, faxes }], byDoctor: Map doctor -> clinic }
+function buildClinics(doctors) {
+	// union-find over doctors: every shared address or premises key links two of them
+	const parent = doctors.map((d, i) => i);
+	const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+	const firstWithKey = new Map();
+	doctors.forEach((d, i) => {
+		const keys = Object.values(d.addresses || {}).concat(d.address || '').map(a => 'a:' + addressKey(a)).filter(k => k !== 'a:');
+		premisesKeys(d).forEach(k => keys.push(k));
+		keys.forEach(k => {
+			if (!firstWithKey.has(k)) firstWithKey.set(k, i);
+			else parent[find(i)] = find(firstWithKey.get(k));
+		});
+	});
+
+	const groups = new Map();
+	doctors.forEach((d, i) => {
+		const root = find(i);
+		if (!groups.has(root)) groups.set(root, []);
+		groups.get(root).push(d);
+	});
+
+	const clinics = [];
+	const byDoctor = new Map();
+	groups.forEach(members => {
+		const located = members.find(d => typeof d.lat === 'number' && typeof d.lng === 'number');
+		const records = [].concat(...members.map(d => Object.values(d.records || {})));
+		const clinic = {
+			id: `clinic-${members[0].baseId || members[0].id}`,
+			doctors: members,
+			lat: located ? located.lat : null,
+			lng: located ? located.lng : null,
+			schedule: combineSchedules(members.map(d => d.schedule)),
+			phones: distinctPhones([].concat(...members.map(d => Object.values(d.phones || {})))),
+			faxes: distinctPhones(records.map(r => r.fax))
+		};
+		clinics.push(clinic);
+		members.forEach(d => byDoctor.set(d, clinic));
+	});
+	return { clinics, byDoctor };
+}
+
+// The clinic's own listing (a row without a personal title such as 醫生 / 註冊中醫師:
+// "基督教家庭服務中心醫務所"), whose name then names the clinic; null when every row is a doctor
+function organisationListing(doctors) {
+	return doctors.find(d => Object.values(d.records || {}).some(r => !r.title)) || null;
+}
+
+// A filtered, sorted doctor list -> the same list with doctors of one clinic pulled together
+// where the first of them appears: [{ clinic, doctors }] for clinics, the doctor itself when alone.
+function groupDoctorsByClinic(list, byDoctor) {
+	const out = [];
+	const entries = new Map();
+	list.forEach(d => {
+		const clinic = byDoctor.get(d);
+		if (!clinic || clinic.doctors.length < 2) {
+			out.push(d);
+			return;
+		}
+		if (!entries.has(clinic)) {
+			entries.set(clinic, { clinic, doctors: [] });
+			out.push(entries.get(clinic));
+		}
+		entries.get(clinic).doctors.push(d);
+	});
+	// a clinic where only one doctor passed the filters shows as that doctor's own card
+	return out.map(x => (x.clinic && x.doctors.length === 1 ? x.doctors[0] : x));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		addressKey,
+		coordinateKey,
+		unitKey,
+		coordinateClashes,
+		combineSchedules,
+		weekHourRows,
+		buildClinics,
+		organisationListing,
+		groupDoctorsByClinic
+	};
+}
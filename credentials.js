@@ -0,0 +1,211 @@
+// Doctor name parsing. The export packs the name, the title and the credentials into
+// doc_name ("鄭至東醫生-MBBS(HKU)", "源秉佳醫生-DCH(IREL)|DCH(LOND)|MBCHB(CUHK)",
+// "何思翹醫生-MBCHBCUHK1993"), so ingest.js splits it into a display name, a title and
+// a list of qualifications with the awarding institution.
+
+// titles recognised at the end of a Chinese name (longest first)
+const NAME_TITLES = ['註冊中醫師', '中醫師', '醫生', '中醫'];
+
+// titles meaning a Chinese-medicine registration rather than a Western-medicine one
+const CM_TITLES = ['註冊中醫師', '中醫師', '中醫'];
+
+// a name ending like this is a practice's, not a person's: "怡健堂中醫" is a clinic, "吳樂怡中醫" a practitioner
+const PRACTICE_NAME_ENDING = /(堂|館|馆|診所|诊所|中心)$/;
+
+// codes written in mixed case on the badges and filter options; the rest as they are
+const QUALIFICATION_DISPLAY = { MBCHB: 'MBChB' };
+
+// qualification codes (dots removed, upper case) -> what they stand for
+const QUALIFICATIONS = {
+	MBBS: 'Bachelor of Medicine, Bachelor of Surgery',
+	MBCHB: 'Bachelor of Medicine, Bachelor of Surgery',
+	MD: 'Doctor of Medicine',
+	LMCHK: 'Licentiate of the Medical Council of Hong Kong',
+	DCH: 'Diploma in Child Health',
+	DFM: 'Diploma in Family Medicine',
+	FHKAM: 'Fellow of the Hong Kong Academy of Medicine',
+	FHKCP: 'Fellow of the Hong Kong College of Physicians',
+	FHKCFP: 'Fellow of the Hong Kong College of Family Physicians',
+	FCSHK: 'Fellow of the College of Surgeons of Hong Kong',
+	FRCS: 'Fellow of the Royal College of Surgeons',
+	FRCP: 'Fellow of the Royal College of Physicians',
+	FRCGP: 'Fellow of the Royal College of General Practitioners',
+	FRACGP: 'Fellow of the Royal Australian College of General Practitioners',
+	MRCS: 'Member of the Royal College of Surgeons',
+	MRCP: 'Member of the Royal College of Physicians',
+	MRCGP: 'Member of the Royal College of General Practitioners',
+	MCGP: 'Member of the College of General Practitioners',
+	MCPS: 'Member of the College of Physicians and Surgeons'
+};
+
+// basic medical degrees: the facet keeps the university (MBBS (HKU) vs MBBS (CUHK))
+const DEGREE_CODES = ['MBBS', 'MBCHB', 'MD'];
+
+// spellings of awarding institutions (dots removed, upper case) -> short label + full name
+const INSTITUTIONS = [
+	{ short: 'HKU', name: 'The University of Hong Kong', aliases: ['HKU', 'HK'] },
+	{ short: 'CUHK', name: 'The Chinese University of Hong Kong', aliases: ['CUHK'] },
+	{ short: 'London', name: 'University of London', aliases: ['LONDON', 'LOND'] },
+	{ short: 'Edinburgh', name: 'Edinburgh', aliases: ['EDINBURGH', 'EDIN'] },
+	{ short: 'Ireland', name: 'Ireland', aliases: ['IRELAND', 'IREL'] },
+	{ short: 'England', name: 'England', aliases: ['ENG'] },
+	{ short: 'Sydney', name: 'The University of Sydney', aliases: ['SYDNEY', 'SYD'] },
+	{ short: 'UNSW', name: 'University of New South Wales', aliases: ['UNSWAUST', 'UNSW', 'NSW'] },
+	{ short: 'Singapore', name: 'National University of Singapore', aliases: ['SINGAPORE', 'SING', '新加坡'] },
+	{ short: 'Liverpool', name: 'University of Liverpool', aliases: ['LIVERPOOL'] },
+	{ short: 'Leicester', name: 'University of Leicester', aliases: ['LEICESTER', 'LEIC'] },
+	{ short: 'Manchester', name: 'University of Manchester', aliases: ['MANCHESTER', 'MANC'] },
+	{ short: 'Manitoba', name: 'Manitoba', aliases: ['MANITOBA'] },
+	{ short: 'Rangoon', name: 'Institute of Medicine I, Rangoon', aliases: ['MEDINST(I)RANGOON', 'RANGOON'] }
+];
+
+// facet key used for Chinese-medicine registrations
+const CM_FACET = 'CMP';
+
+// longest spellings first so "HKU" wins over "HK" and "MBCHB" over "MD"
+const QUALIFICATION_CODES = Object.keys(QUALIFICATIONS).sort((a, b) => b.length - a.length);
+const INSTITUTION_ALIASES = INSTITUTIONS
+	.flatMap(inst => inst.aliases.map(alias => ({ alias, inst })))
+	.sort((a, b) => b.alias.length - a.alias.length);
+
+function findInstitution(text) {
+	const hit = INSTITUTION_ALIASES.find(a => a.alias === text);
+	return hit ? hit.inst : null;
+}
+
+// "M.B.|B.S.(N.S.W)" -> "MBBS(NSW)": upper case, no dots, split degrees put back together
+function normalizeCredentials(text) {
+	return text.toUpperCase()
+		.replace(/\./g, '')
+		.replace(/\bMB\|BS\b/g, 'MBBS')
+		.replace(/\bMB\|CHB\b/g, 'MBCHB');
+}
+
+// split on | / , and spaces, but not inside brackets: "FHKAM(FAMILY MEDICINE)|DCH"
+function splitCredentials(text) {
+	const chunks = [];
+	let depth = 0;
+	let cur = '';
+	for (const c of text) {
+		if (c === '(') depth++;
+		if (c === ')') depth = Math.max(0, depth - 1);
+		if (!depth && /[|\/,\s]/.test(c)) { if (cur) chunks.push(cur); cur = ''; }
+		else cur += c;
+	}
+	if (cur) chunks.push(cur);
+	return chunks;
+}
+
+// Read one credential chunk ("MBCHBCUHK1993", "FHKAM(FAMILYMEDICINE)2007") into qualifications.
+// Anything that isn't a known code is returned in unparsed.
+function parseCredentialChunk(chunk) {
+	const qualifications = [];
+	let unparsed = '';
+	let i = 0;
+	while (i < chunk.length) {
+		const code = QUALIFICATION_CODES.find(c => chunk.startsWith(c, i));
+		if (!code) { unparsed += chunk[i++]; continue; }
+		i += code.length;
+		const q = { code, institution: null, detail: '', year: null };
+		// institution / specialty either in brackets or glued on: MBBS(HKU), MBBSHKU
+		const paren = /^\(([^()]*(?:\([^()]*\)[^()]*)*)\)/.exec(chunk.slice(i));
+		if (paren && !/^\d{4}$/.test(paren[1])) {
+			const inst = findInstitution(paren[1]);
+			if (inst) q.institution = inst;
+			else q.detail = paren[1];
+			i += paren[0].length;
+		} else {
+			const glued = INSTITUTION_ALIASES.find(a => chunk.startsWith(a.alias, i));
+			if (glued) { q.institution = glued.inst; i += glued.alias.length; }
+		}
+		const year = /^\(?((?:19|20)\d\d)\)?/.exec(chunk.slice(i));
+		if (year) { q.year = Number(year[1]); i += year[0].length; }
+		qualifications.push(q);
+	}
+	return { qualifications, unparsed };
+}
+
+function displayCode(code) {
+	return QUALIFICATION_DISPLAY[code] || code;
+}
+
+// facet value for the qualification filter: degrees keep the university, the rest just the code
+function qualificationFacet(q) {
+	return DEGREE_CODES.includes(q.code) && q.institution ? `${displayCode(q.code)} (${q.institution.short})` : displayCode(q.code);
+}
+
+// badge text: MBBS (HKU) 2008, MBChB (CUHK), FHKAM (FAMILYMEDICINE)
+function qualificationLabel(q) {
+	const where = q.institution ? q.institution.short : q.detail;
+	return `${displayCode(q.code)}${where ? ` (${where})` : ''}${q.year ? ` ${q.year}` : ''}`;
+}
+
+// Split a doc_name into { displayName, title, qualifications, note, unparsed }.
+// Clinic names without a title come back unchanged as the display name.
+function parseDoctorName(text) {
+	let head = (text || '').toString().trim();
+	let credentials = '';
+	const result = { displayName: '', title: '', qualifications: [], note: '', unparsed: [] };
+	// credentials start at the first dash followed by Latin text ("醫生-MBBS(HK)"), or sit in
+	// brackets after the title ("醫生(MBChB)"); "康健-基健醫務中心" keeps its dash
+	const dash = head.search(/-\s*[A-Za-z(]/);
+	if (dash >= 0) {
+		credentials = head.slice(dash + 1);
+		head = head.slice(0, dash);
+	} else {
+		const bracket = /\(([A-Za-z][^)]*)\)\s*$/.exec(head);
+		if (bracket) { credentials = bracket[1]; head = head.slice(0, bracket.index); }
+	}
+	// trailing notes from the data team: "(時間更新)", "(中醫)", "_普通科"
+	const note = /(?:\(([^()]*)\)|_(.+))\s*$/.exec(head);
+	if (note && /\p{Script=Han}/u.test(note[1] || note[2])) {
+		result.note = note[1] || note[2];
+		head = head.slice(0, note.index);
+	}
+	head = head.trim();
+	const title = NAME_TITLES.find(tl => head.endsWith(tl) && head.length > tl.length && !PRACTICE_NAME_ENDING.test(head.slice(0, -tl.length)));
+	const english = /^(dr\.?)\s+/i.exec(head);
+	if (title) {
+		result.title = title;
+		head = head.slice(0, -title.length);
+	} else if (english) {
+		result.title = 'Dr';
+		head = head.slice(english[0].length);
+	}
+	result.displayName = head.trim();
+	splitCredentials(normalizeCredentials(credentials)).forEach(chunk => {
+		const parsed = parseCredentialChunk(chunk);
+		result.qualifications.push(...parsed.qualifications);
+		if (parsed.unparsed) result.unparsed.push(parsed.unparsed);
+	});
+	result.qualifications.forEach(q => {
+		q.facet = qualificationFacet(q);
+		q.label = qualificationLabel(q);
+	});
+	return result;
+}
+
+// name + title the way it's written in each language: 鄭至東醫生 / Dr Cheng Chi Tung
+function formatDoctorName(displayName, title) {
+	if (!title) return displayName || '';
+	return /^[A-Za-z]/.test(title) ? `${title} ${displayName}` : `${displayName}${title}`;
+}
+
+// qualification filter values for one doctor, Chinese-medicine registration included
+function credentialFacets(title, qualifications) {
+	const facets = (qualifications || []).map(q => q.facet);
+	if (CM_TITLES.includes(title)) facets.push(CM_FACET);
+	return [...new Set(facets)];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		QUALIFICATIONS,
+		INSTITUTIONS,
+		CM_FACET,
+		parseDoctorName,
+		parseCredentialChunk,
+		formatDoctorName,
+		credentialFacets
+	};
+}
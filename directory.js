@@ -0,0 +1,271 @@
+// DoctorDirectory: the doctor list as a query API, with no page attached. Built from the raw
+// doctors.json export; script.js and <mixcare-doctor-list> filter through it, and so can Node
+// scripts (the chatbot's "GPs in 銅鑼灣", one-off reports):
+//
+//   const { DoctorDirectory } = require('./directory.js');
+//   const directory = new DoctorDirectory(require('./data/doctors.json'), { romanTable: require('./data/jyutping.json').chars });
+//   directory.query({ specialty: '普通科', area: '銅鑼灣', lang: 'en', limit: 5 });
+//
+// Filter labels match in any language a doctor carries: English labels for rows the export has in
+// English, and with a simplifiedTable the zh-CN ones too (灣仔區 and 湾仔区 find the same doctors).
+// Tests against the bundled data: node --test test/
+
+const directoryIngestApi = typeof module === 'object' && module.exports ? require('./ingest.js') : globalThis;
+const directoryDoctorsApi = typeof module === 'object' && module.exports ? require('./doctors.js') : globalThis;
+const directorySearchApi = typeof module === 'object' && module.exports ? require('./search.js') : globalThis;
+const directoryFilterApi = typeof module === 'object' && module.exports ? require('./filterindex.js') : globalThis;
+const directoryGeoApi = typeof module === 'object' && module.exports ? require('./geo.js') : globalThis;
+const directoryHoursApi = typeof module === 'object' && module.exports ? require('./hours.js') : globalThis;
+const directoryChineseApi = typeof module === 'object' && module.exports ? require('./chinese.js') : globalThis;
+
+// select-style criteria, answered from the filterindex.js lookup tables; also the fields facets() counts
+const DIRECTORY_FACETS = ['specialty', 'qualification', 'city', 'state', 'district', 'area'];
+
+// location levels, widest first: 城市 → 區域 → 地區 → 分區 (香港 → 九龍 → 觀塘區 → 藍田)
+const DIRECTORY_LOCATION_LEVELS = ['city', 'state', 'district', 'area'];
+
+// sort -> value per result, lowest first; results without one (no coordinates, unreadable
+// co-pay, never verified) go after everyone else
+const DIRECTORY_SORTS = {
+	distance: r => r.distance,
+	price: r => (r.doctor.pricing ? r.doctor.pricing.copay : null),
+	updated: r => (r.doctor.updatedOn ? -Date.parse(r.doctor.updatedOn) : null)
+};
+
+// does this schedule match the opening criterion? unparsed schedules never do
+// open: 'now' (with now = { day, minutes, holiday, holidayBefore }, see hongKongNow; unknown holidays don't match), 'sunday' (Sundays or public holidays), or { day: 0-6 | 'ph', minutes }
+function openingMatches(schedule, open, now) {
+	if (open === 'sunday') return directoryHoursApi.opensOnSundayOrHoliday(schedule);
+	if (open === 'now') return directoryHoursApi.isOpenAt(schedule, now.day, now.minutes, now.holiday, now.holidayBefore) === true;
+	if (open.day === 'ph') return !!schedule && !!schedule.holiday && directoryHoursApi.isOpenAt(schedule, 0, open.minutes, true);
+	return directoryHoursApi.isOpenAt(schedule, Number(open.day), open.minutes, false);
+}
+
+class DoctorDirectory {
+	// raw: the doctors.json rows. options:
+	//   romanTable  jyutping.json's chars, for romanized name search ("Cheng Chi Tung"); plain search without it
+	//   simplifiedTable  t2s.json's chars: adds zh-CN text converted from zh-HK (see chinese.js)
+	//   perRow      one doctor per export row instead of one per doc_id (the page's "show all records")
+	//   prepare     records -> records, run between ingestion and merging (the page pads the data with synthetic.js there)
+	//   ingest      options for ingestDoctors (staleAfterDays)
+	constructor(raw, options) {
+		const opts = options || {};
+		const { records, report } = directoryIngestApi.ingestDoctors(raw, opts.ingest);
+		this.report = report;
+		this.records = opts.prepare ? opts.prepare(records) : records;
+		this.languages = [...new Set(this.records.map(r => r.lang))];
+		this.doctors = opts.perRow ? directoryDoctorsApi.normalizePerRow(this.records) : directoryDoctorsApi.mergeByDocId(this.records);
+		if (opts.simplifiedTable) directoryChineseApi.addSimplifiedChinese(this.doctors, opts.simplifiedTable);
+		this.searchIndex = directorySearchApi.buildSearchIndex(this.doctors, opts.romanTable || {});
+		this.filterIndex = directoryFilterApi.buildFilterIndex(this.doctors);
+		// doc_id -> doctor (the first one when perRow splits a doctor)
+		this.ids = new Map();
+		this.doctors.forEach(d => { if (!this.ids.has(String(d.baseId))) this.ids.set(String(d.baseId), d); });
+		// facetOptions' option lists, which only change with the location levels and the language
+		this.scopes = new Map();
+		// field|lang -> Map(doctor -> label), see labels()
+		this.labelMaps = new Map();
+		// { text, byDoctor }, see search()
+		this.lastSearch = null;
+	}
+
+	byId(id) {
+		return this.ids.get(String(id)) || null;
+	}
+
+	// criteria (all optional):
+	//   text          free-text search: names (also romanized), qualifications, address, area, district
+	//   specialty, qualification, city, state, district, area
+	//                 labels in any language; qualification takes credentialFacets labels ('FHKAM', 'MBBS (HKU)')
+	//   open, now     see openingMatches; now defaults to the time in Hong Kong
+	//   maxCopay      HKD; doctors whose co-pay terms couldn't be read never pass
+	//   origin        { lat, lng }: measure distances from here
+	//   radius        metres from origin; doctors without coordinates don't pass
+	//   sort          '' (best match first when searching, else data order), 'distance', 'price', 'updated'
+	//   lang          attach summary(doctor, lang) to each result
+	//   limit         return at most this many (total still counts every match)
+	// -> { total, results: [{ doctor, score, hits, distance, summary }] }
+	query(criteria) {
+		const c = criteria || {};
+		const search = this.search(c.text);
+		let results = this.match(c, null, search);
+		if (search && !c.sort) results.sort((a, b) => b.score - a.score);
+		const value = DIRECTORY_SORTS[c.sort];
+		if (value) {
+			const key = r => (value(r) === null || value(r) === undefined ? Infinity : value(r));
+			results.sort((a, b) => (key(a) === key(b) ? 0 : key(a) - key(b)));
+		}
+		const total = results.length;
+		if (c.limit) results = results.slice(0, c.limit);
+		if (c.lang) results.forEach(r => { r.summary = this.summary(r.doctor, c.lang); });
+		return { total, results };
+	}
+
+	// How many doctors carry each label, under all the other criteria: the counts a filter would
+	// show next to its options (a field's own selection doesn't narrow its own list).
+	// -> { specialty: [{ value, count }], qualification, city, state, district, area }, labels in lang, in code-point order
+	facets(criteria, lang) {
+		const c = criteria || {};
+		const sets = DIRECTORY_FACETS.map(f => directoryFilterApi.facetMembers(this.filterIndex, f, c[f]));
+		const test = this.test(c, this.search(c.text));
+		const counted = DIRECTORY_FACETS.map(() => []);
+		// one pass: a doctor counts towards a field's options when no other criterion keeps it out
+		this.doctors.forEach(d => {
+			const missed = sets.reduce((list, set, i) => (set && !set.has(d) ? list.concat(i) : list), []);
+			if (missed.length > 1) return;
+			const result = test(d);
+			if (!result) return;
+			counted.forEach((list, i) => { if (!missed.length || missed[0] === i) list.push(result); });
+		});
+		const out = {};
+		DIRECTORY_FACETS.forEach((field, i) => { out[field] = this.count(counted[i], field, lang); });
+		return out;
+	}
+
+	// Every option a filter can offer, with its count under the other criteria. Options matching
+	// nothing stay in with count 0, so a page can show them disabled instead of letting people
+	// pick a dead end. A location level only offers what lies inside the levels chosen above it
+	// (the districts of 九龍, not every district); total counts the option within that scope alone.
+	// -> { specialty: [{ value, count, total }], qualification, city, state, district, area }
+	facetOptions(criteria, lang) {
+		const c = criteria || {};
+		const live = this.facets(c, lang);
+		const out = {};
+		DIRECTORY_FACETS.forEach(field => {
+			const scope = {};
+			DIRECTORY_LOCATION_LEVELS.slice(0, Math.max(DIRECTORY_LOCATION_LEVELS.indexOf(field), 0)).forEach(f => { scope[f] = c[f] || ''; });
+			const key = [lang, field].concat(Object.values(scope)).join('|');
+			if (!this.scopes.has(key)) this.scopes.set(key, this.count(this.match(scope, field, null), field, lang));
+			const counts = new Map(live[field].map(f => [f.value, f.count]));
+			out[field] = this.scopes.get(key).map(({ value, count }) => ({ value, count: counts.get(value) || 0, total: count }));
+		});
+		return out;
+	}
+
+	// The levels above a location label, in lang: parentsOf('area', '銅鑼灣', 'en') ->
+	// { city: 'Hong Kong', state: 'Hong Kong Island', district: 'Wan Chai' }. Should the rows
+	// under one label disagree (a mistyped district), the label most of them carry wins.
+	parentsOf(field, value, lang) {
+		const members = directoryFilterApi.facetMembers(this.filterIndex, field, value) || new Set();
+		const out = {};
+		DIRECTORY_LOCATION_LEVELS.slice(0, DIRECTORY_LOCATION_LEVELS.indexOf(field)).forEach(level => {
+			const counts = this.count([...members].map(doctor => ({ doctor })), level, lang);
+			out[level] = counts.length ? counts.reduce((best, f) => (f.count > best.count ? f : best)).value : '';
+		});
+		return out;
+	}
+
+	// A doctor as plain values in lang (falling back to another language the way the cards do),
+	// for chat replies and JSON output
+	summary(doctor, lang) {
+		const field = f => directoryDoctorsApi.localizedField(doctor, f, lang).value;
+		return {
+			id: String(doctor.baseId),
+			name: field('name'),
+			specialty: field('specialty'),
+			qualifications: doctor.qualifications.map(q => q.label),
+			address: field('address'),
+			area: field('area'),
+			district: field('district'),
+			phone: field('phone'),
+			hours: field('opening'),
+			copay: doctor.pricing && doctor.pricing.copay !== null ? doctor.pricing.copay : null,
+			lat: doctor.lat,
+			lng: doctor.lng,
+			updatedOn: doctor.updatedOn || null
+		};
+	}
+
+	// results -> [{ value, count }] for one facet, labels in lang, in code-point order
+	count(results, field, lang) {
+		const counts = new Map();
+		const add = l => { if (l) counts.set(l, (counts.get(l) || 0) + 1); };
+		if (field === 'qualification') {
+			results.forEach(({ doctor }) => (doctor.qualificationFacets || []).forEach(add));
+		} else {
+			const labels = this.labels(field, lang || 'en');
+			results.forEach(({ doctor }) => add(labels.get(doctor)));
+		}
+		return [...counts.keys()].sort().map(value => ({ value, count: counts.get(value) }));
+	}
+
+	// every doctor's label for a field in lang (see localizedField), worked out once per language:
+	// counting options on each keystroke would otherwise redo the fallback for every doctor
+	labels(field, lang) {
+		const key = `${field}|${lang}`;
+		if (!this.labelMaps.has(key)) this.labelMaps.set(key, new Map(this.doctors.map(d => [d, directoryDoctorsApi.localizedField(d, field, lang).value])));
+		return this.labelMaps.get(key);
+	}
+
+	// search results by doctor, or null when there's no search text. The last text's results are
+	// kept: a keystroke asks query(), then facets() / facetOptions() for the same text.
+	search(text) {
+		const key = text || '';
+		if (!this.lastSearch || this.lastSearch.text !== key) {
+			const matches = directorySearchApi.searchDoctors(this.searchIndex, key);
+			this.lastSearch = { text: key, byDoctor: matches ? new Map(matches.map(m => [m.doc, m])) : null };
+		}
+		return this.lastSearch.byDoctor;
+	}
+
+	// results passing every criterion except the `skip` facet, in data order
+	match(c, skip, search) {
+		const sets = DIRECTORY_FACETS.filter(f => f !== skip)
+			.map(f => directoryFilterApi.facetMembers(this.filterIndex, f, c[f]))
+			.filter(Boolean);
+		const test = this.test(c, search);
+		const out = [];
+		this.doctors.forEach(d => {
+			if (sets.some(set => !set.has(d))) return;
+			const result = test(d);
+			if (result) out.push(result);
+		});
+		return out;
+	}
+
+	// the criteria other than the facets, as doctor -> result (null when it doesn't pass)
+	test(c, search) {
+		const now = c.open === 'now' ? c.now || directoryHoursApi.hongKongNow() : null;
+		const maxCopay = c.maxCopay === null || c.maxCopay === undefined || c.maxCopay === '' ? null : Number(c.maxCopay);
+		const radius = Number(c.radius) || 0;
+		return d => {
+			const found = search ? search.get(d) : null;
+			if (search && !found) return null;
+			if (c.open && !openingMatches(d.schedule, c.open, now)) return null;
+			if (maxCopay !== null && !(d.pricing && d.pricing.copay !== null && d.pricing.copay <= maxCopay)) return null;
+			const distance = directoryGeoApi.distanceTo(c.origin, d.lat, d.lng);
+			if (radius && (distance === null || distance > radius)) return null;
+			return { doctor: d, score: found ? found.score : 0, hits: found ? found.hits : null, distance };
+		};
+	}
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		DIRECTORY_FACETS,
+		DIRECTORY_LOCATION_LEVELS,
+		openingMatches,
+		DoctorDirectory
+	};
+
+	// node directory.js [--data=path/to/export.json] [--facets] [--text=...] [--specialty=...] [--district=...] [--lang=en] [--limit=10] ...
+	// prints the matching doctors (or the facet counts) as JSON
+	if (require.main === module) {
+		const fs = require('fs');
+		const path = require('path');
+		const args = Object.fromEntries(process.argv.slice(2).map(a => /^--([^=]+)(?:=(.*))?$/.exec(a)).filter(Boolean).map(m => [m[1], m[2] === undefined ? true : m[2]]));
+		const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+		const table = name => {
+			const file = path.join(__dirname, 'data', name);
+			return fs.existsSync(file) ? read(file).chars : {};
+		};
+		const directory = new DoctorDirectory(read(args.data || path.join(__dirname, 'data', 'doctors.json')), {
+			romanTable: table('jyutping.json'),
+			simplifiedTable: table('t2s.json')
+		});
+		const criteria = Object.assign({ lang: 'en', limit: 10 }, args);
+		criteria.limit = Number(criteria.limit) || 0;
+		const output = args.facets ? directory.facets(criteria, criteria.lang) : (({ total, results }) => ({ total, results: results.map(r => r.summary) }))(directory.query(criteria));
+		console.log(JSON.stringify(output, null, 2));
+	}
+}
@@ -0,0 +1,150 @@
+// Doctor objects: canonical records (see ingest.js) reshaped for display, filtering and search.
+// Per-language fields become maps keyed by language ({ names: { 'zh-HK': '鄭至東醫生', en: ... } }).
+
+const doctorCredentialsApi = typeof module === 'object' && module.exports ? require('./credentials.js') : globalThis;
+const doctorHoursApi = typeof module === 'object' && module.exports ? require('./hours.js') : globalThis;
+
+// field -> per-language map on the doctor object
+const DOCTOR_FIELD_MAPS = {
+	name: 'names',
+	address: 'addresses',
+	specialty: 'specialties',
+	opening: 'openings',
+	area: 'areas',
+	district: 'districts',
+	state: 'states',
+	city: 'cities',
+	phone: 'phones',
+	phone2: 'phones2',
+	fax: 'faxes',
+	remark: 'remarks',
+	ctaText: 'ctaTexts'
+};
+
+// Group canonical records (see ingest.js) by id+lang so each language-specific row becomes its own display item.
+// This avoids hiding language variants when multiple rows share the same doc_id.
+function mergeByDocId(data) {
+	// Merge rows by doc_id into one doctor object that holds per-language maps.
+	const map = new Map();
+	data.forEach(item => {
+		const id = item.id || '';
+		const lang = item.lang || 'en';
+		if (!map.has(id)) {
+			map.set(id, {
+				id,
+				baseId: id,
+				names: {},
+				fullNames: {},
+				qualifications: [],
+				qualificationFacets: [],
+				addresses: {},
+				address: item.address || "",
+				phones: {},
+				phones2: {},
+				faxes: {},
+				specialties: {},
+				openings: {},
+				remarks: {},
+				areas: {},
+				districts: {},
+				states: {},
+				cities: {},
+				lat: item.lat,
+				lng: item.lng,
+				schedule: item.schedule,
+				pricing: item.pricing,
+				updatedOn: item.updatedOn,
+				// canonical record per language, for the CSV / vCard exports
+				records: {},
+				// online booking: the button label per language, one link
+				ctaTexts: {},
+				cta_link: item.ctaLink || ""
+			});
+		}
+		const doc = map.get(id);
+		// populate per-language maps
+		doc.names[lang] = doctorCredentialsApi.formatDoctorName(item.displayName, item.title) || item.name || doc.names[lang] || '';
+		doc.fullNames[lang] = item.name || doc.fullNames[lang] || '';
+		if (!doc.records[lang]) doc.records[lang] = item;
+		// credentials are Latin codes, the same in every language row: keep the longest list
+		if (item.qualifications.length > doc.qualifications.length) doc.qualifications = item.qualifications;
+		doc.qualificationFacets = [...new Set(doc.qualificationFacets.concat(doctorCredentialsApi.credentialFacets(item.title, item.qualifications)))];
+		if (item.address) doc.addresses[lang] = item.address;
+		if (item.phone) doc.phones[lang] = item.phone;
+		if (item.phone2) doc.phones2[lang] = item.phone2;
+		if (item.fax) doc.faxes[lang] = item.fax;
+		if (item.ctaText) doc.ctaTexts[lang] = item.ctaText;
+		if (item.specialty) doc.specialties[lang] = item.specialty;
+		if (item.hours) doc.openings[lang] = item.hours;
+		if (item.remark) doc.remarks[lang] = item.remark;
+		if (item.area) doc.areas[lang] = item.area;
+		if (item.district) doc.districts[lang] = item.district;
+		if (item.state) doc.states[lang] = item.state;
+		if (item.city) doc.cities[lang] = item.city;
+		// keep lat/lng / booking link if not present yet
+		if (doc.lat === null && item.lat !== null) doc.lat = item.lat;
+		if (doc.lng === null && item.lng !== null) doc.lng = item.lng;
+		if (!doc.cta_link && item.ctaLink) doc.cta_link = item.ctaLink;
+		// prefer a schedule that actually parsed (the zh-HK text is usually the cleaner one)
+		if (!doctorHoursApi.hasAnySessions(doc.schedule) && doctorHoursApi.hasAnySessions(item.schedule)) doc.schedule = item.schedule;
+		if (!doc.pricing.ok && item.pricing.ok) doc.pricing = item.pricing;
+		// language rows are confirmed separately: the doctor counts as verified on the latest one
+		if (item.updatedOn && (!doc.updatedOn || item.updatedOn > doc.updatedOn)) doc.updatedOn = item.updatedOn;
+	});
+	return Array.from(map.values());
+}
+
+// normalize per row: each canonical record becomes its own display item
+function normalizePerRow(data) {
+	return data.map((item, idx) => {
+		const lang = item.lang || 'en';
+		return {
+			id: `${item.id || ''}_${lang}_${idx}`,
+			baseId: item.id || '',
+			names: { [lang]: doctorCredentialsApi.formatDoctorName(item.displayName, item.title) || item.name || '' },
+			fullNames: { [lang]: item.name || '' },
+			qualifications: item.qualifications,
+			qualificationFacets: doctorCredentialsApi.credentialFacets(item.title, item.qualifications),
+			addresses: { [lang]: item.address || '' },
+			address: item.address || '',
+			phones: { [lang]: item.phone || '' },
+			phones2: { [lang]: item.phone2 || '' },
+			faxes: { [lang]: item.fax || '' },
+			specialties: { [lang]: item.specialty || '' },
+			openings: { [lang]: item.hours || '' },
+			remarks: { [lang]: item.remark || '' },
+			areas: { [lang]: item.area || '' },
+			districts: { [lang]: item.district || '' },
+			states: { [lang]: item.state || '' },
+			cities: { [lang]: item.city || '' },
+			lat: item.lat,
+			lng: item.lng,
+			schedule: item.schedule,
+			pricing: item.pricing,
+			updatedOn: item.updatedOn,
+			records: { [lang]: item },
+			ctaTexts: { [lang]: item.ctaText || '' },
+			cta_link: item.ctaLink || ''
+		};
+	});
+}
+
+// A doctor's field in lang, falling back to zh-HK, zh-CN, then English: { value, lang } where lang
+// is the language the value actually came from ('' value when the doctor has none)
+function localizedField(doc, field, lang) {
+	const map = doc[DOCTOR_FIELD_MAPS[field] || (field + 's')] || {};
+	if (map && typeof map === 'object' && !Array.isArray(map)) {
+		const found = [lang, 'zh-HK', 'zh-CN', 'en'].find(l => map[l]);
+		return found ? { value: map[found], lang: found } : { value: '', lang };
+	}
+	return { value: map || '', lang };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		DOCTOR_FIELD_MAPS,
+		mergeByDocId,
+		normalizePerRow,
+		localizedField
+	};
+}
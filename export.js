@@ -0,0 +1,133 @@
+// File exports of the filtered list: CSV for spreadsheets and vCard (.vcf) for phone contacts.
+// Both are plain text builders here; script.js picks the language and triggers the download.
+
+// phones.js is a sibling <script> in the browser and required in Node
+const exportPhonesApi = typeof module === 'object' && module.exports ? require('./phones.js') : globalThis;
+
+// canonical record fields (see ingest.js) written to the CSV, in column order.
+// Parsed values (display name, qualifications, co-pay) sit next to the raw ones they come from.
+const CSV_COLUMNS = [
+	'id', 'lang', 'name', 'displayName', 'title', 'qualifications', 'specialty',
+	'city', 'state', 'district', 'area', 'address', 'lat', 'lng',
+	'phone', 'phone2', 'fax', 'hours', 'remark', 'copay', 'medicineDays',
+	'price', 'note', 'updated', 'updatedOn', 'ctaText', 'ctaLink'
+];
+
+// "+852 2577 5906" -> "852 2577 5906": a leading + makes spreadsheets read the number as a formula.
+// Numbers that aren't Hong Kong ones stay as typed (and csvCell escapes them if need be).
+function csvPhone(text) {
+	const phone = exportPhonesApi.parseHkPhone(text);
+	return phone.valid ? phone.display.slice(1) : text;
+}
+
+// one canonical record -> CSV values by column
+function csvRecord(rec) {
+	return Object.assign({}, rec, {
+		phone: csvPhone(rec.phone),
+		phone2: csvPhone(rec.phone2),
+		fax: csvPhone(rec.fax),
+		qualifications: (rec.qualifications || []).map(q => q.label).join('; '),
+		copay: rec.pricing && rec.pricing.copay !== null ? rec.pricing.copay : '',
+		medicineDays: rec.pricing && rec.pricing.medicineDays !== null ? rec.pricing.medicineDays : ''
+	});
+}
+
+// Cells starting with = + - @ read as formulas in Excel / Sheets, which would let text from the
+// export run as one: such cells get a leading ' and quotes. (Phones are written without the +, see csvPhone.)
+function csvCell(value) {
+	let s = value === null || value === undefined ? '' : value.toString();
+	if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+	return /^'|[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Records -> CSV text. Starts with a byte-order mark so Excel reads the Chinese as UTF-8.
+function toCsv(records, columns) {
+	const cols = columns || CSV_COLUMNS;
+	const lines = [cols.map(csvCell).join(',')];
+	records.forEach(rec => {
+		const row = csvRecord(rec);
+		lines.push(cols.map(c => csvCell(row[c])).join(','));
+	});
+	return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// vCard 3.0 text value: backslash, comma, semicolon and newlines escaped
+function vcardText(value) {
+	return (value || '').toString()
+		.replace(/\\/g, '\\\\')
+		.replace(/[,;]/g, c => '\\' + c)
+		.replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space (RFC 6350 3.2),
+// split on character boundaries so multi-byte Chinese stays intact.
+function foldVCardLine(line) {
+	const parts = [];
+	let cur = '';
+	let bytes = 0;
+	for (const c of line) {
+		const cp = c.codePointAt(0);
+		const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+		if (bytes + size > (parts.length ? 74 : 75)) {
+			parts.push(cur);
+			cur = '';
+			bytes = 0;
+		}
+		cur += c;
+		bytes += size;
+	}
+	parts.push(cur);
+	return parts.join('\r\n ');
+}
+
+// Contact -> one VCARD block.
+// contact: { uid, name, title, org, phones: [], fax, address, lat, lng, note, url, categories }
+function toVCard(contact) {
+	const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+	lines.push(`FN:${vcardText(contact.name)}`);
+	// no reliable family/given split for clinic names or Chinese names: all of it as the family name
+	lines.push(`N:${vcardText(contact.name)};;;;`);
+	if (contact.org) lines.push(`ORG:${vcardText(contact.org)}`);
+	if (contact.title) lines.push(`TITLE:${vcardText(contact.title)}`);
+	(contact.phones || []).filter(Boolean).forEach(p => lines.push(`TEL;TYPE=WORK,VOICE:${p}`));
+	if (contact.fax) lines.push(`TEL;TYPE=WORK,FAX:${contact.fax}`);
+	if (contact.address) lines.push(`ADR;TYPE=WORK:;;${vcardText(contact.address)};;;;`);
+	if (typeof contact.lat === 'number' && typeof contact.lng === 'number') lines.push(`GEO:${contact.lat};${contact.lng}`);
+	if (contact.categories) lines.push(`CATEGORIES:${vcardText(contact.categories)}`);
+	if (contact.note) lines.push(`NOTE:${vcardText(contact.note)}`);
+	if (contact.url) lines.push(`URL:${contact.url}`);
+	if (contact.uid) lines.push(`UID:${vcardText(contact.uid)}`);
+	lines.push('END:VCARD');
+	return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+// several contacts in one .vcf file (phones import them all at once)
+function toVCards(contacts) {
+	return contacts.map(toVCard).join('');
+}
+
+// Sort items into nested groups, e.g. state -> district -> area for the print layout.
+// keys are functions item -> label; returns [{ label, groups }] down to [{ label, items }].
+function groupNested(items, keys) {
+	const groups = new Map();
+	items.forEach(item => {
+		const label = keys[0](item) || '';
+		if (!groups.has(label)) groups.set(label, []);
+		groups.get(label).push(item);
+	});
+	return [...groups.keys()]
+		.sort((a, b) => a.localeCompare(b))
+		.map(label => keys.length > 1
+			? { label, groups: groupNested(groups.get(label), keys.slice(1)) }
+			: { label, items: groups.get(label) });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		CSV_COLUMNS,
+		toCsv,
+		toVCard,
+		toVCards,
+		groupNested
+	};
+}
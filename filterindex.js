@@ -0,0 +1,45 @@
+// Lookup tables for the select filters, built once per data load. A filter change is then
+// one Set lookup per doctor instead of lower-casing every language variant of every field.
+
+// select filter -> per-language map on the doctor object
+const FACET_FIELDS = {
+	specialty: 'specialties',
+	city: 'cities',
+	state: 'states',
+	district: 'districts',
+	area: 'areas'
+};
+
+// { specialty: Map('普通科' -> Set(doctors)), ..., qualification: Map('fhkam' -> Set(doctors)) }
+// keys are lower-cased labels in every language the doctor has
+function buildFilterIndex(doctors) {
+	const index = { qualification: new Map() };
+	Object.keys(FACET_FIELDS).forEach(field => { index[field] = new Map(); });
+	const add = (field, label, doc) => {
+		const key = (label || '').toString().toLowerCase();
+		if (!key) return;
+		if (!index[field].has(key)) index[field].set(key, new Set());
+		index[field].get(key).add(doc);
+	};
+	doctors.forEach(d => {
+		Object.entries(FACET_FIELDS).forEach(([field, key]) => {
+			Object.values(d[key] || {}).forEach(label => add(field, label, d));
+		});
+		(d.qualificationFacets || []).forEach(f => add('qualification', f, d));
+	});
+	return index;
+}
+
+// doctors carrying this label (in any language); null when the filter isn't set
+function facetMembers(index, field, value) {
+	if (!value) return null;
+	return index[field].get(value.toString().toLowerCase()) || new Set();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		FACET_FIELDS,
+		buildFilterIndex,
+		facetMembers
+	};
+}
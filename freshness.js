@@ -0,0 +1,87 @@
+// When each row was last confirmed with the clinic. The export writes update_timestamp in
+// US order with a two-digit year ("4/14/23", "1/12/25"); everything else works on ISO dates.
+
+// rows last confirmed this long before the export's newest row (see exportDate) are marked
+// "may be outdated". The network re-confirms clinics in rounds a year or more apart (2023, early
+// 2024 and late 2025 in the bundled export), so a year flags nearly every row; three years
+// singles out the ones several rounds have missed. Pages can override it with
+// data-stale-after-days on #results.
+const DEFAULT_STALE_AFTER_DAYS = 3 * 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "4/14/23" / "4/14/2023" -> "2023-04-14"; "2023-04-14" passes through; anything else -> null
+function parseUpdateTimestamp(text) {
+	const s = (text || '').toString().trim();
+	let y, m, d;
+	const us = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(s);
+	const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(s);
+	if (us) {
+		[m, d, y] = [Number(us[1]), Number(us[2]), Number(us[3])];
+		// two-digit years are this century: the export started in the 2020s
+		if (us[3].length === 2) y += 2000;
+	} else if (iso) {
+		[y, m, d] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+	} else {
+		return null;
+	}
+	// reject 2/30/23 and friends instead of letting Date roll them over
+	const date = new Date(Date.UTC(y, m - 1, d));
+	if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+	return date.toISOString().slice(0, 10);
+}
+
+// whole days from an ISO date to today (an ISO date too, or a Date); null without a date
+function daysSince(isoDate, today) {
+	if (!isoDate) return null;
+	const end = typeof today === 'string' ? Date.parse(today) : (today || new Date()).getTime();
+	return Math.floor((end - Date.parse(isoDate)) / DAY_MS);
+}
+
+// The export's own date: its most recently updated row's ISO date, or null. Staleness is measured
+// from here rather than from today, so a list doesn't age while nobody re-exports it.
+function exportDate(rows) {
+	return rows.reduce((newest, r) => (r.updatedOn && (!newest || r.updatedOn > newest) ? r.updatedOn : newest), null);
+}
+
+// the threshold in days, DEFAULT_STALE_AFTER_DAYS when not given (a function, as other
+// scripts can't read the constant off globalThis)
+function staleThreshold(staleAfterDays) {
+	return staleAfterDays || DEFAULT_STALE_AFTER_DAYS;
+}
+
+// no date at all counts as stale: nobody knows when it was last checked
+function isStale(isoDate, today, staleAfterDays) {
+	const age = daysSince(isoDate, today);
+	return age === null || age > staleThreshold(staleAfterDays);
+}
+
+// Stale rows per district, most stale first: the clinics the network team should re-confirm.
+// rows: [{ district, updatedOn }] -> [{ district, total, stale, oldest }]
+function staleByDistrict(rows, today, staleAfterDays) {
+	const byDistrict = new Map();
+	rows.forEach(r => {
+		const key = r.district || '';
+		if (!byDistrict.has(key)) byDistrict.set(key, { district: key, total: 0, stale: 0, oldest: null });
+		const entry = byDistrict.get(key);
+		entry.total++;
+		if (!isStale(r.updatedOn, today, staleAfterDays)) return;
+		entry.stale++;
+		if (r.updatedOn && (!entry.oldest || r.updatedOn < entry.oldest)) entry.oldest = r.updatedOn;
+	});
+	return [...byDistrict.values()]
+		.filter(e => e.stale)
+		.sort((a, b) => (b.stale - a.stale) || a.district.localeCompare(b.district));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		DEFAULT_STALE_AFTER_DAYS,
+		parseUpdateTimestamp,
+		daysSince,
+		exportDate,
+		staleThreshold,
+		isStale,
+		staleByDistrict
+	};
+}
@@ -0,0 +1,87 @@
+// Distance helpers for "near me": straight-line distances plus a lookup into the
+// bundled gazetteer (data/gazetteer.json) of MTR stations and landmarks, so people
+// who don't share their location can type "Mong Kok" / "旺角站" instead.
+
+const EARTH_RADIUS_M = 6371000;
+
+// radius choices offered in the UI, in metres
+const RADIUS_OPTIONS = [500, 1000, 3000];
+
+// great-circle distance in metres between two lat/lng points
+function distanceMeters(lat1, lng1, lat2, lng2) {
+	const rad = x => x * Math.PI / 180;
+	const dLat = rad(lat2 - lat1);
+	const dLng = rad(lng2 - lng1);
+	const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+	return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// distance from a point to a doctor/record, or null when it has no usable coordinates
+function distanceTo(origin, lat, lng) {
+	if (!origin || typeof lat !== 'number' || typeof lng !== 'number') return null;
+	return distanceMeters(origin.lat, origin.lng, lat, lng);
+}
+
+// "350 m" / "1.2 km" / "12 km"
+function formatDistance(meters) {
+	if (meters === null || meters === undefined) return '';
+	if (meters < 1000) return `${Math.max(10, Math.round(meters / 10) * 10)} m`;
+	const km = meters / 1000;
+	return `${km < 10 ? km.toFixed(1) : Math.round(km)} km`;
+}
+
+// "旺角站" / "Mong Kok MTR Station" / " mongkok " -> "旺角" / "mongkok" / "mongkok"
+function normalizePlaceName(text) {
+	return (text || '').toString()
+		.toLowerCase()
+		.replace(/港鐵|地鐵|站$/g, '')
+		.replace(/\b(mtr|station|stn)\b/g, '')
+		.replace(/[\s'’.\-()（）]+/g, '');
+}
+
+// Find the gazetteer entry for typed text: exact name first, then prefix, then substring.
+// Returns null when nothing matches.
+function findPlace(gazetteer, text) {
+	const q = normalizePlaceName(text);
+	if (!q || !Array.isArray(gazetteer)) return null;
+	const names = p => Object.values(p.name || {}).map(normalizePlaceName).filter(Boolean);
+	return gazetteer.find(p => names(p).includes(q)) ||
+		gazetteer.find(p => names(p).some(n => n.startsWith(q))) ||
+		gazetteer.find(p => names(p).some(n => n.includes(q))) ||
+		null;
+}
+
+// localized label for a gazetteer entry, falling back to whatever name it has
+function placeLabel(place, lang) {
+	if (!place) return '';
+	const name = place.name || {};
+	return name[lang] || name['zh-HK'] || name.en || Object.values(name)[0] || '';
+}
+
+// navigator.geolocation wrapped in a promise -> { lat, lng, accuracy }
+function getBrowserLocation(options) {
+	return new Promise((resolve, reject) => {
+		if (typeof navigator === 'undefined' || !navigator.geolocation) {
+			reject(new Error('Geolocation is not supported'));
+			return;
+		}
+		navigator.geolocation.getCurrentPosition(
+			pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude, accuracy: pos.coords.accuracy }),
+			err => reject(err),
+			Object.assign({ enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 }, options)
+		);
+	});
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		RADIUS_OPTIONS,
+		distanceMeters,
+		distanceTo,
+		formatDistance,
+		normalizePlaceName,
+		findPlace,
+		placeLabel,
+		getBrowserLocation
+	};
+}
@@ -0,0 +1,309 @@
+// Opening-hours parser for the free-text doc_wh column.
+// Turns strings like "星期一至五: 9:00A.M. - 1:00P.M.， 3:00P.M. - 7:00P.M.; 星期六 : 9:30A.M. - 1:00P.M."
+// into a weekly schedule. Days use the JS Date convention (0 = Sunday ... 6 = Saturday);
+// times are minutes after midnight, and an end past 1440 runs over into the next day.
+
+const CN_DAY = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 日: 0, 天: 0 };
+const EN_DAY = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 0 };
+
+// Hong Kong general holidays (data/holidays.json, see setPublicHolidays), when clinics keep their 公眾假期 hours.
+// Days in a year the table doesn't cover are neither holiday nor ordinary day but unknown.
+let hkPublicHolidays = { years: new Set(), dates: new Set() };
+
+// day -> Monday-first position, so that "星期六至日" and "星期一至五" both expand forwards
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const TIME_PART = '(上午|中午|下午|晚上)?\\s*(\\d{1,2})(?:\\s*[:.]\\s*(\\d{2}))?\\s*:?\\s*(a\\.?\\s?m\\.?|p\\.?\\s?m\\.?|m\\.?\\s?n\\.?)?';
+
+// tried in order at each position of the normalized string
+const HOURS_TOKENS = [
+	{ kind: 'skip', re: /[\s,;:()[\]&/.'"*]+|及|和|與|或|逢|至(?=公眾)/y },
+	{ kind: 'holiday', re: /公眾假期|public\s+holidays?|p\.?h\.?(?![a-z])/iy },
+	{ kind: 'dayRange', re: /星期\s*([一二三四五六日天])\s*(?:至|到|-)\s*(?:星期)?\s*([一二三四五六日天])/y },
+	{ kind: 'day', re: /星期\s*([一二三四五六日天])/y },
+	{ kind: 'bareDayRange', re: /([一二三四五六日天])\s*(?:至|到|-)\s*(?:星期)?\s*([一二三四五六日天])/y },
+	{ kind: 'bareDay', re: /([一二三四五六日天])/y },
+	{ kind: 'enDayRange', re: /(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?\s*(?:-|to)\s*(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?/iy },
+	{ kind: 'enDay', re: /(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?/iy },
+	{ kind: 'range24', re: /(\d{2})(\d{2})\s*-\s*(\d{2})(\d{2})(?!\d)/y },
+	{ kind: 'range', re: new RegExp(TIME_PART + '\\s*-\\s*\\.?\\s*' + TIME_PART, 'iy') },
+	{ kind: 'closed', re: /休息|關閉|关闭|closed/iy },
+	{ kind: 'appointment', re: /敬請預約|請預約|預約|by\s+appointment/iy }
+];
+
+// full-width punctuation/digits -> ASCII, and one spelling for the public-holiday variants
+function normalizeHoursText(text) {
+	return (text || '').toString()
+		.replace(/[！-～]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+		.replace(/　/g, ' ')
+		.replace(/、/g, ',')
+		.replace(/[–—－~〜]/g, '-')
+		.replace(/公[眾衆众共]假期|公休日/g, '公眾假期')
+		.replace(/公眾假期\s*\(\s*星期[一二三四五六日天]\s*\)/g, '公眾假期')
+		.replace(/敬请预约/g, '敬請預約');
+}
+
+function expandDayRange(from, to) {
+	const a = WEEK_ORDER.indexOf(from);
+	const b = WEEK_ORDER.indexOf(to);
+	const days = [];
+	for (let i = a; ; i = (i + 1) % 7) {
+		days.push(WEEK_ORDER[i]);
+		if (i === b || days.length === 7) break;
+	}
+	return days;
+}
+
+function meridiemOf(prefix, suffix) {
+	const s = (suffix || '').toLowerCase().replace(/[.\s]/g, '');
+	if (s === 'am') return 'am';
+	if (s === 'pm') return 'pm';
+	if (s === 'mn') return 'mn';
+	if (prefix === '上午') return 'am';
+	if (prefix) return 'pm';
+	return '';
+}
+
+function clockToMinutes(h, m, mer) {
+	if (mer === 'am') return (h === 12 ? 0 : h) * 60 + m;
+	if (mer === 'pm') return (h < 12 ? h + 12 : h) * 60 + m;
+	if (mer === 'mn') return 24 * 60 + (h === 12 ? 0 : h) * 60 + m;
+	return h * 60 + m;
+}
+
+// Resolve a "9:00 - 1:00P.M." style range into minutes, filling in a missing A.M./P.M.
+// from the other end and correcting the usual typos (P.M. start on a morning session,
+// "12:30 P.M." meaning half past midnight). Returns null when it still makes no sense.
+function resolveRange(s, e) {
+	if (s.h > 24 || e.h > 24 || s.m > 59 || e.m > 59) return null;
+	if (!s.mer && !e.mer) {
+		if (s.h <= 12 && e.h <= 12) {
+			s.mer = s.h >= 7 && s.h < 12 ? 'am' : 'pm';
+			e.mer = 'pm';
+		}
+	} else if (!s.mer) {
+		s.mer = e.mer === 'mn' ? 'pm' : e.mer;
+		if (clockToMinutes(s.h, s.m, s.mer) >= clockToMinutes(e.h, e.m, e.mer)) s.mer = 'am';
+	} else if (!e.mer) {
+		e.mer = s.mer;
+		if (clockToMinutes(e.h, e.m, e.mer) <= clockToMinutes(s.h, s.m, s.mer)) e.mer = 'pm';
+	}
+	let start = clockToMinutes(s.h, s.m, s.mer);
+	let end = clockToMinutes(e.h, e.m, e.mer);
+	if (end === 0) end = 24 * 60; // "4pm - 12am"
+	if (end <= start && s.mer === 'pm' && s.h >= 6 && s.h < 12 && clockToMinutes(s.h, s.m, 'am') < end) start = clockToMinutes(s.h, s.m, 'am');
+	if (end <= start && e.mer === 'pm' && e.h === 12) end = 24 * 60 + e.m;
+	if (end <= start) return null;
+	return { start, end };
+}
+
+function mergeSessions(sessions) {
+	const sorted = sessions.slice().sort((a, b) => a.start - b.start);
+	const out = [];
+	sorted.forEach(s => {
+		const last = out[out.length - 1];
+		if (last && s.start <= last.end) last.end = Math.max(last.end, s.end);
+		else out.push({ start: s.start, end: s.end });
+	});
+	return out;
+}
+
+// Parse one doc_wh string.
+// week[day] is null when the text never mentions that day, [] when it says closed,
+// otherwise the sessions for that day; holiday follows the same rules for 公眾假期.
+// unparsed lists the fragments that looked like times but could not be read.
+function parseOpeningHours(text) {
+	const raw = (text || '').toString();
+	const src = normalizeHoursText(raw);
+	const result = { raw, week: [null, null, null, null, null, null, null], holiday: null, byAppointment: false, unparsed: [] };
+	const groups = [];
+	let current = null;
+	let lastKind = '';
+	let leftover = '';
+
+	const flushLeftover = () => {
+		if (/\d/.test(leftover)) result.unparsed.push(leftover.trim());
+		leftover = '';
+	};
+	const addDays = (days, holiday) => {
+		const fresh = !current || current.sessions.length || current.closed || current.appointment;
+		if (fresh) {
+			current = { days: new Set(), holiday: false, sessions: [], closed: false, refined: false };
+			groups.push(current);
+		} else if (!current.refined && !holiday && !current.holiday && current.days.size > 1 && days.every(d => current.days.has(d))) {
+			// "星期一至五 : 星期一， 星期二， 星期五 ..." -- the second list narrows the first
+			current.days = new Set();
+			current.refined = true;
+		}
+		days.forEach(d => current.days.add(d));
+		if (holiday) current.holiday = true;
+	};
+	const addSession = (session) => {
+		if (!current) {
+			current = { days: new Set(), holiday: false, sessions: [], closed: false, refined: false, orphan: true };
+			groups.push(current);
+		}
+		const prev = current.sessions[current.sessions.length - 1];
+		// "1:00 P.M.，3:00 A.M. - 7:30 P.M." -- an afternoon session typed as A.M.
+		if (prev && session.start < prev.end && session.start + 720 < session.end) session.start += 720;
+		current.sessions.push(session);
+	};
+
+	let pos = 0;
+	while (pos < src.length) {
+		let matched = null;
+		for (const tok of HOURS_TOKENS) {
+			// a bare numeral only means a day right after another day ("星期一，二，四")
+			if ((tok.kind === 'bareDay' || tok.kind === 'bareDayRange') && !['day', 'dayRange', 'bareDay', 'bareDayRange'].includes(lastKind)) continue;
+			tok.re.lastIndex = pos;
+			const m = tok.re.exec(src);
+			if (m && m[0].length) { matched = { tok, m }; break; }
+		}
+		if (!matched) {
+			leftover += src[pos];
+			pos++;
+			continue;
+		}
+		const { tok, m } = matched;
+		pos += m[0].length;
+		if (tok.kind === 'skip') { leftover += m[0]; continue; }
+		flushLeftover();
+		switch (tok.kind) {
+			case 'holiday': addDays([], true); break;
+			case 'dayRange':
+			case 'bareDayRange': addDays(expandDayRange(CN_DAY[m[1]], CN_DAY[m[2]])); break;
+			case 'day':
+			case 'bareDay': addDays([CN_DAY[m[1]]]); break;
+			case 'enDayRange': addDays(expandDayRange(EN_DAY[m[1].toLowerCase()], EN_DAY[m[2].toLowerCase()])); break;
+			case 'enDay': addDays([EN_DAY[m[1].toLowerCase()]]); break;
+			case 'range24': {
+				const session = resolveRange({ h: +m[1], m: +m[2], mer: 'h24' }, { h: +m[3], m: +m[4], mer: 'h24' });
+				if (session) addSession(session); else result.unparsed.push(m[0]);
+				break;
+			}
+			case 'range': {
+				const s = { h: +m[2], m: +(m[3] || 0), mer: meridiemOf(m[1], m[4]) };
+				const e = { h: +m[6], m: +(m[7] || 0), mer: meridiemOf(m[5], m[8]) };
+				if (s.mer === '' && s.h > 12) s.mer = 'h24';
+				if (e.mer === '' && e.h > 12) e.mer = 'h24';
+				const session = resolveRange(s, e);
+				if (session) addSession(session); else result.unparsed.push(m[0].trim());
+				break;
+			}
+			case 'closed': if (current && !current.sessions.length) current.closed = true; break;
+			case 'appointment':
+				result.byAppointment = true;
+				if (current) current.appointment = true;
+				break;
+		}
+		lastKind = tok.kind;
+	}
+	flushLeftover();
+
+	// later mentions of a day win, e.g. "星期一至五 ...， 星期三 3:30 P.M. - 7:30 P.M."
+	groups.forEach(g => {
+		if (g.orphan) {
+			if (g.sessions.length) result.unparsed.push('(no day) ' + g.sessions.map(formatSession).join(', '));
+			return;
+		}
+		const sessions = g.closed ? [] : mergeSessions(g.sessions);
+		if (!g.closed && !sessions.length) return;
+		g.days.forEach(d => { result.week[d] = sessions; });
+		if (g.holiday) result.holiday = sessions;
+	});
+	result.ok = !result.unparsed.length && (hasAnySessions(result) || result.byAppointment || result.week.some(d => d !== null));
+	return result;
+}
+
+function hasAnySessions(schedule) {
+	return !!schedule && (schedule.week.some(d => d && d.length) || !!(schedule.holiday && schedule.holiday.length));
+}
+
+function sessionsFor(schedule, day, holiday) {
+	if (!schedule) return [];
+	if (holiday && schedule.holiday) return schedule.holiday;
+	return schedule.week[day] || [];
+}
+
+// open on `day` at `minutes` after midnight; includes sessions running past midnight from the day before.
+// holiday / holidayBefore: whether that day / the day before is a public holiday. null means unknown
+// (see isPublicHoliday), and gives null where the answer depends on it.
+function isOpenAt(schedule, day, minutes, holiday, holidayBefore) {
+	const prev = (day + 6) % 7;
+	const openWith = (h, hb) => sessionsFor(schedule, day, h).some(s => minutes >= s.start && minutes < s.end) ||
+		sessionsFor(schedule, prev, hb).some(s => s.end > 1440 && minutes + 1440 < s.end);
+	const cases = h => (h === null ? [false, true] : [!!h]);
+	const answers = new Set();
+	cases(holiday).forEach(h => cases(holidayBefore).forEach(hb => answers.add(openWith(h, hb))));
+	return answers.size === 1 ? [...answers][0] : null;
+}
+
+// first session start after (day, minutes) within the coming week, or null; holiday: today is a public holiday
+function nextOpening(schedule, day, minutes, holiday) {
+	for (let offset = 0; offset <= 7; offset++) {
+		const d = (day + offset) % 7;
+		const s = sessionsFor(schedule, d, offset === 0 && holiday).find(x => offset > 0 || x.start > minutes);
+		if (s) return { day: d, minutes: s.start, offset };
+	}
+	return null;
+}
+
+function opensOnSundayOrHoliday(schedule) {
+	return sessionsFor(schedule, 0, false).length > 0 || !!(schedule && schedule.holiday && schedule.holiday.length);
+}
+
+// data/holidays.json -> the table isPublicHoliday / hongKongNow read
+function setPublicHolidays(table) {
+	hkPublicHolidays = { years: new Set((table && table.years) || []), dates: new Set((table && table.dates) || []) };
+}
+
+// '2026-10-19' -> true / false, or null when its year isn't in data/holidays.json
+function isPublicHoliday(isoDate) {
+	if (!hkPublicHolidays.years.has(Number(isoDate.slice(0, 4)))) return null;
+	return hkPublicHolidays.dates.has(isoDate);
+}
+
+// current weekday/minutes in Hong Kong regardless of the device's timezone, and whether today and
+// yesterday are public holidays (null when unknown): { day, minutes, date: '2026-10-19', holiday, holidayBefore }
+function hongKongNow(date) {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone: 'Asia/Hong_Kong', weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+	}).formatToParts(date || new Date());
+	const get = type => (parts.find(p => p.type === type) || {}).value;
+	const isoDate = `${get('year')}-${get('month')}-${get('day')}`;
+	const yesterday = new Date(Date.UTC(Number(get('year')), Number(get('month')) - 1, Number(get('day')) - 1)).toISOString().slice(0, 10);
+	return {
+		day: EN_DAY[get('weekday').toLowerCase()],
+		minutes: Number(get('hour')) * 60 + Number(get('minute')),
+		date: isoDate,
+		holiday: isPublicHoliday(isoDate),
+		holidayBefore: isPublicHoliday(yesterday)
+	};
+}
+
+function formatMinutes(minutes) {
+	const m = ((minutes % 1440) + 1440) % 1440;
+	return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function formatSession(s) {
+	return `${formatMinutes(s.start)}-${formatMinutes(s.end)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		normalizeHoursText,
+		parseOpeningHours,
+		mergeSessions,
+		hasAnySessions,
+		sessionsFor,
+		isOpenAt,
+		nextOpening,
+		opensOnSundayOrHoliday,
+		setPublicHolidays,
+		isPublicHoliday,
+		hongKongNow,
+		formatMinutes,
+		formatSession
+	};
+}
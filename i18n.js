@@ -0,0 +1,92 @@
+// UI strings: one JSON catalog per locale in locales/ (en.json, zh-HK.json, zh-CN.json), key -> message.
+// Messages take positional arguments, "{0}", and a subset of ICU plurals for counts:
+//
+//   "doctorsCount": "{0, plural, one {# doctor found} other {# doctors found}}"
+//
+// "#" is the count, formatted for the locale (1,234); "=0 {...}" matches an exact number and
+// the other selectors come from Intl.PluralRules (one / other for English; Chinese only has other).
+// Lists and tables (day names, print columns) are stored as they are and returned untouched.
+
+// UI languages, in the order the language menu lists them
+const LOCALES = ['en', 'zh-HK', 'zh-CN'];
+
+// spellings seen in links and lang attributes -> locale
+const LOCALE_ALIASES = {
+	'en': ['en', 'en-us', 'en-gb', 'en-hk'],
+	'zh-HK': ['zh-hk', 'zh_hk', 'zhhk', 'zh-hant', 'zh-tw', 'zh'],
+	'zh-CN': ['zh-cn', 'zh_cn', 'zhcn', 'zh-hans', 'zh-sg']
+};
+
+// "zh-hk" / "zh_hk" / "zh-hant" -> 'zh-HK', "zh-cn" / "zh-hans" -> 'zh-CN', "en-gb" -> 'en', anything else -> ''
+function localeFromCode(code) {
+	const c = (code || '').toString().toLowerCase();
+	return LOCALES.find(locale => LOCALE_ALIASES[locale].includes(c)) || '';
+}
+
+function formatArgument(value, lang) {
+	return typeof value === 'number' ? new Intl.NumberFormat(lang).format(value) : String(value === undefined || value === null ? '' : value);
+}
+
+// "one {# doctor} other {# doctors}" -> { one: '# doctor', other: '# doctors' }
+function pluralOptions(text) {
+	const options = {};
+	const re = /\s*(=\d+|[a-z]+)\s*\{/g;
+	let m;
+	while ((m = re.exec(text))) {
+		let depth = 1;
+		let i = re.lastIndex;
+		for (; i < text.length && depth; i++) depth += text[i] === '{' ? 1 : text[i] === '}' ? -1 : 0;
+		options[m[1]] = text.slice(re.lastIndex, i - 1);
+		re.lastIndex = i;
+	}
+	return options;
+}
+
+// The message with its arguments filled in, for lang. Non-string messages come back as they are.
+function formatMessage(message, lang, args) {
+	if (typeof message !== 'string') return message;
+	const values = args || [];
+	let out = '';
+	let i = 0;
+	while (i < message.length) {
+		const open = message.indexOf('{', i);
+		if (open < 0) break;
+		// the matching brace, past any nested plural options
+		let depth = 1;
+		let close = open + 1;
+		for (; close < message.length && depth; close++) depth += message[close] === '{' ? 1 : message[close] === '}' ? -1 : 0;
+		const body = message.slice(open + 1, close - 1);
+		const plural = /^\s*(\d+)\s*,\s*plural\s*,([\s\S]*)$/.exec(body);
+		out += message.slice(i, open);
+		if (plural) {
+			const n = Number(values[plural[1]]);
+			const options = pluralOptions(plural[2]);
+			const chosen = options['=' + n] !== undefined ? options['=' + n] : options[new Intl.PluralRules(lang).select(n)];
+			const text = chosen !== undefined ? chosen : (options.other || '');
+			out += formatMessage(text.replace(/#/g, formatArgument(n, lang)), lang, values);
+		} else if (/^\s*\d+\s*$/.test(body)) {
+			out += formatArgument(values[Number(body)], lang);
+		} else {
+			out += message.slice(open, close);
+		}
+		i = close;
+	}
+	return out + message.slice(i);
+}
+
+// locales/<lang>.json next to base (a folder URL) -> the catalog
+async function loadCatalog(lang, base) {
+	const url = new URL(`locales/${lang}.json`, base).toString();
+	const res = await fetch(url);
+	if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
+	return res.json();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		LOCALES,
+		localeFromCode,
+		formatMessage,
+		loadCatalog
+	};
+}
@@ -0,0 +1,281 @@
+// Ingestion layer for the spreadsheet export in data/doctors.json.
+// The export's headers are not stable: primary keys come through as "doc_id (pk)",
+// the last column carries the sheet's line ending ("cta_link\r"), and casing drifts
+// between exports. Everything downstream works on the canonical schema below instead.
+
+// canonical field -> accepted header spellings (after cleanHeader)
+const COLUMN_ALIASES = {
+	id: ['doc_id', 'id'],
+	lang: ['lang_id', 'lang', 'language'],
+	name: ['doc_name', 'name'],
+	address: ['doc_address', 'address'],
+	lat: ['doc_lat', 'lat', 'latitude'],
+	lng: ['doc_long', 'doc_lng', 'lng', 'long', 'longitude'],
+	phone: ['doc_tel_a', 'doc_tel', 'tel', 'phone'],
+	phone2: ['doc_tel_b'],
+	fax: ['doc_fax', 'fax'],
+	hours: ['doc_wh', 'opening_hours'],
+	remark: ['doc_remark'],
+	updated: ['update_timestamp', 'updated_at'],
+	specialty: ['doc_cat_name', 'specialty'],
+	city: ['city_name', 'city'],
+	state: ['state_name', 'state', 'region'],
+	district: ['district_name', 'district'],
+	area: ['area_name', 'area'],
+	price: ['price'],
+	note: ['remark', 'note'],
+	ctaText: ['cta_text'],
+	ctaLink: ['cta_link']
+};
+
+// rough bounding box of the HKSAR, used to catch swapped or mistyped coordinates
+const HK_BOUNDS = { minLat: 22.13, maxLat: 22.57, minLng: 113.82, maxLng: 114.45 };
+
+const DEFAULT_LANG = 'zh-HK';
+
+// hours.js / credentials.js / pricing.js / freshness.js / phones.js / clinics.js are loaded as sibling <script>s in the browser and required in Node
+const hoursApi = typeof module === 'object' && module.exports ? require('./hours.js') : globalThis;
+const credentialsApi = typeof module === 'object' && module.exports ? require('./credentials.js') : globalThis;
+const pricingApi = typeof module === 'object' && module.exports ? require('./pricing.js') : globalThis;
+const freshnessApi = typeof module === 'object' && module.exports ? require('./freshness.js') : globalThis;
+const phonesApi = typeof module === 'object' && module.exports ? require('./phones.js') : globalThis;
+const clinicsApi = typeof module === 'object' && module.exports ? require('./clinics.js') : globalThis;
+
+// "doc_id (pk)" -> "doc_id", "cta_link\r" -> "cta_link", " Doc_Name " -> "doc_name"
+function cleanHeader(header) {
+	return (header || '').toString()
+		.replace(/[\r\n]+/g, '')
+		.replace(/\s*\((pk|fk)\)\s*$/i, '')
+		.trim()
+		.toLowerCase()
+		.replace(/[\s-]+/g, '_');
+}
+
+function cleanValue(value) {
+	if (value === null || value === undefined) return '';
+	return value.toString().replace(/\r/g, '').trim();
+}
+
+// "zh_hk" / "ZH-hk" / "zh-Hant" -> "zh-HK"; anything unrecognised passes through as-is
+function normalizeLangCode(code) {
+	const c = cleanValue(code).toLowerCase().replace('_', '-');
+	if (!c) return '';
+	if (['zh-hk', 'zh-hant', 'zh-tw', 'zh-mo'].includes(c)) return 'zh-HK';
+	if (['zh-cn', 'zh-hans', 'zh-sg'].includes(c)) return 'zh-CN';
+	if (c === 'en' || c.startsWith('en-')) return 'en';
+	return cleanValue(code);
+}
+
+function parseCoordinate(value) {
+	const s = cleanValue(value);
+	if (!s) return null;
+	const n = Number(s);
+	return Number.isFinite(n) ? n : null;
+}
+
+// Build a lookup from raw header -> canonical field for one export.
+// Returns unmapped raw headers separately so they can be reported.
+function mapColumns(headers) {
+	const lookup = {};
+	Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+		aliases.forEach(a => { lookup[a] = field; });
+	});
+	const mapping = {};
+	const unknown = [];
+	headers.forEach(h => {
+		const field = lookup[cleanHeader(h)];
+		if (field && !Object.values(mapping).includes(field)) mapping[h] = field;
+		else unknown.push(h);
+	});
+	return { mapping, unknown };
+}
+
+function collectHeaders(rows) {
+	const headers = new Set();
+	rows.forEach(r => { if (r && typeof r === 'object') Object.keys(r).forEach(k => headers.add(k)); });
+	return [...headers];
+}
+
+// Convert one raw export row into the canonical doctor record.
+function toCanonicalRecord(item, mapping, idx) {
+	const rec = { row: idx };
+	Object.keys(COLUMN_ALIASES).forEach(field => { rec[field] = ''; });
+	Object.entries(mapping).forEach(([header, field]) => {
+		rec[field] = cleanValue(item[header]);
+	});
+	rec.lang = normalizeLangCode(rec.lang) || DEFAULT_LANG;
+	rec.lat = parseCoordinate(rec.lat);
+	rec.lng = parseCoordinate(rec.lng);
+	rec.schedule = hoursApi.parseOpeningHours(rec.hours);
+	// "鄭至東醫生-MBBS(HKU)" -> displayName 鄭至東, title 醫生, qualifications [MBBS (HKU)]
+	const parsedName = credentialsApi.parseDoctorName(rec.name);
+	rec.displayName = parsedName.displayName;
+	rec.title = parsedName.title;
+	rec.qualifications = parsedName.qualifications;
+	rec.nameNote = parsedName.note;
+	rec.unparsedCredentials = parsedName.unparsed;
+	// "自付費HK$15， 包二日基本藥物" -> copay 15, medicineDays 2; the Price column fills in a missing amount
+	rec.pricing = pricingApi.parseCopayRemark(rec.remark);
+	const listedPrice = pricingApi.parseAmount(rec.price);
+	if (rec.pricing.copay === null && listedPrice !== null) {
+		rec.pricing.copay = listedPrice;
+		rec.pricing.ok = !rec.pricing.unparsed.length;
+	}
+	// "4/14/23" -> "2023-04-14"
+	rec.updatedOn = freshnessApi.parseUpdateTimestamp(rec.updated);
+	return rec;
+}
+
+function isInsideHongKong(lat, lng) {
+	return lat !== null && lng !== null &&
+		lat >= HK_BOUNDS.minLat && lat <= HK_BOUNDS.maxLat &&
+		lng >= HK_BOUNDS.minLng && lng <= HK_BOUNDS.maxLng;
+}
+
+// One row per doctor for the stale summary: the zh-HK row where there is one, so districts
+// are counted under a single label instead of once per language.
+function staleSummary(records, today, staleAfterDays) {
+	const byId = new Map();
+	records.forEach(r => {
+		if (!byId.has(r.id) || r.lang === DEFAULT_LANG) byId.set(r.id, r);
+	});
+	return freshnessApi.staleByDistrict([...byId.values()], today, staleAfterDays);
+}
+
+// Checks the data team runs on every export before publishing it.
+// options.staleAfterDays sets what counts as stale in the per-district summary, measured from
+// options.today (default: the export's date, see exportDate); options.today (default: now) is
+// also the day data/holidays.json has to cover.
+function buildValidationReport(records, columns, options) {
+	const opts = options || {};
+	const staleAfterDays = freshnessApi.staleThreshold(opts.staleAfterDays);
+	const report = {
+		generatedAt: new Date().toISOString(),
+		rows: records.length,
+		languages: {},
+		unknownColumns: columns.unknown,
+		issues: {
+			missingPhone: [],
+			coordinatesOutsideHK: [],
+			duplicateId: [],
+			unparsedHours: [],
+			unparsedCredentials: [],
+			unparsedRemarks: [],
+			unparsedTimestamps: [],
+			malformedPhones: [],
+			coordinateClashes: [],
+			holidaysMissing: []
+		},
+		// not an export error, a to-do list for the network team: clinics due for re-confirmation
+		staleAfterDays,
+		staleAsOf: opts.today || freshnessApi.exportDate(records),
+		staleByDistrict: staleSummary(records, opts.today || freshnessApi.exportDate(records), staleAfterDays)
+	};
+	const ref = r => ({ row: r.row, id: r.id, lang: r.lang, name: r.name });
+	const seen = new Map(); // lang|id -> rows
+	records.forEach(r => {
+		report.languages[r.lang] = (report.languages[r.lang] || 0) + 1;
+		if (!r.phone && !r.phone2) report.issues.missingPhone.push(ref(r));
+		if (!isInsideHongKong(r.lat, r.lng)) {
+			report.issues.coordinatesOutsideHK.push(Object.assign(ref(r), { lat: r.lat, lng: r.lng }));
+		}
+		if (r.hours && !r.schedule.ok) {
+			report.issues.unparsedHours.push(Object.assign(ref(r), { hours: r.hours, unreadable: r.schedule.unparsed.join(' | ') }));
+		}
+		if (r.unparsedCredentials.length) {
+			report.issues.unparsedCredentials.push(Object.assign(ref(r), { unreadable: r.unparsedCredentials.join(' | ') }));
+		}
+		if ((r.remark || r.price) && !r.pricing.ok) {
+			report.issues.unparsedRemarks.push(Object.assign(ref(r), { remark: r.remark, unreadable: r.pricing.unparsed.join(' | ') || 'no co-pay amount' }));
+		}
+		// numbers that aren't a dialable +852 8-digit number; the cards show them marked, without a link
+		['phone', 'phone2', 'fax'].forEach(field => {
+			if (r[field] && !phonesApi.parseHkPhone(r[field]).valid) {
+				report.issues.malformedPhones.push(Object.assign(ref(r), { field, value: r[field] }));
+			}
+		});
+		if (!r.updatedOn) {
+			report.issues.unparsedTimestamps.push(Object.assign(ref(r), { updated: r.updated }));
+		}
+		const key = `${r.lang}|${r.id}`;
+		if (!seen.has(key)) seen.set(key, []);
+		seen.get(key).push(r.row);
+	});
+	seen.forEach((rows, key) => {
+		if (rows.length < 2) return;
+		const [lang, id] = key.split('|');
+		report.issues.duplicateId.push({ id, lang, rows });
+	});
+	// "open now" can't tell holiday hours from ordinary ones in a year data/holidays.json doesn't cover
+	const today = typeof opts.today === 'string' ? opts.today : hoursApi.hongKongNow(opts.today).date;
+	if (hoursApi.isPublicHoliday(today) === null) report.issues.holidaysMissing.push({ year: Number(today.slice(0, 4)) });
+	// one point for clinics in different districts: kept apart in the clinic view, the geocode needs fixing
+	report.issues.coordinateClashes = clinicsApi.coordinateClashes(records);
+	return report;
+}
+
+// Entry point: raw JSON array from the export -> { records, report }
+function ingestDoctors(raw, options) {
+	if (!Array.isArray(raw)) throw new Error('doctors.json must be an array of rows');
+	const columns = mapColumns(collectHeaders(raw));
+	const records = raw.map((item, idx) => toCanonicalRecord(item || {}, columns.mapping, idx));
+	return { records, report: buildValidationReport(records, columns, options) };
+}
+
+function countIssues(report) {
+	return Object.values(report.issues).reduce((n, list) => n + list.length, 0) + report.unknownColumns.length;
+}
+
+// Plain-text rendering of the report for the console / CLI.
+function formatValidationReport(report) {
+	const lines = [];
+	const langs = Object.entries(report.languages).map(([l, n]) => `${l}: ${n}`).join(', ');
+	lines.push(`${report.rows} rows (${langs || 'none'})`);
+	if (report.unknownColumns.length) lines.push(`Unknown columns: ${report.unknownColumns.map(h => JSON.stringify(h)).join(', ')}`);
+	Object.entries(report.issues).forEach(([type, list]) => {
+		lines.push(`${type}: ${list.length}`);
+		list.forEach(entry => {
+			const where = entry.row !== undefined ? `row ${entry.row}` : (entry.rows ? `rows ${entry.rows.join(', ')}` : '');
+			const extra = Object.entries(entry)
+				.filter(([k]) => !['row', 'rows'].includes(k))
+				.map(([k, v]) => `${k}=${v === null ? '' : v}`)
+				.join(' ');
+			lines.push(`  - ${[where, extra].filter(Boolean).join(' ')}`);
+		});
+	});
+	const stale = report.staleByDistrict || [];
+	lines.push(`Stale (not verified in the ${report.staleAfterDays} days before ${report.staleAsOf || 'today'}), by district: ${stale.reduce((n, e) => n + e.stale, 0)}`);
+	stale.forEach(e => lines.push(`  - ${e.district || '(no district)'} ${e.stale}/${e.total} oldest=${e.oldest || ''}`));
+	return lines.join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		COLUMN_ALIASES,
+		HK_BOUNDS,
+		cleanHeader,
+		cleanValue,
+		normalizeLangCode,
+		mapColumns,
+		isInsideHongKong,
+		ingestDoctors,
+		buildValidationReport,
+		countIssues,
+		formatValidationReport
+	};
+
+	// node ingest.js [path/to/export.json] [--stale-days=N] -- prints the report, exits 1 when anything needs attention
+	// (stale rows are listed for follow-up but don't fail the run)
+	if (require.main === module) {
+		const fs = require('fs');
+		const path = require('path');
+		const args = process.argv.slice(2);
+		const staleArg = args.find(a => a.startsWith('--stale-days='));
+		const file = args.find(a => !a.startsWith('--')) || path.join(__dirname, 'data', 'doctors.json');
+		const staleAfterDays = staleArg ? Number(staleArg.split('=')[1]) || undefined : undefined;
+		hoursApi.setPublicHolidays(JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'holidays.json'), 'utf8')));
+		const { report } = ingestDoctors(JSON.parse(fs.readFileSync(file, 'utf8')), { staleAfterDays });
+		console.log(formatValidationReport(report));
+		process.exitCode = countIssues(report) ? 1 : 0;
+	}
+}
@@ -0,0 +1,70 @@
+// Map view of the filtered results (Leaflet + Leaflet.markercluster from the CDN).
+// The tile source comes from data-* attributes on #mapView so deployments can point it
+// at a local tile server or an offline raster without touching the code:
+//   data-tile-url="/tiles/{z}/{x}/{y}.png" data-tile-attribution="..." data-tile-max-zoom="18"
+
+// roughly the whole of Hong Kong, used before any doctor has been plotted
+const MAP_DEFAULT_VIEW = { lat: 22.35, lng: 114.12, zoom: 11 };
+
+let leafletMap = null;
+let markerLayer = null;
+
+function mapViewAvailable() {
+	return typeof L !== 'undefined' && !!document.getElementById('mapView');
+}
+
+// read the tile settings off the container; OpenStreetMap when nothing is configured
+function mapTileConfig(el) {
+	const ds = el.dataset || {};
+	return {
+		url: ds.tileUrl || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+		attribution: ds.tileAttribution || '&copy; OpenStreetMap contributors',
+		maxZoom: Number(ds.tileMaxZoom) || 19
+	};
+}
+
+// create the map once; onMove is called after every pan/zoom
+function initMapView(onMove) {
+	if (leafletMap || !mapViewAvailable()) return leafletMap;
+	const el = document.getElementById('mapView');
+	const tiles = mapTileConfig(el);
+	leafletMap = L.map(el).setView([MAP_DEFAULT_VIEW.lat, MAP_DEFAULT_VIEW.lng], MAP_DEFAULT_VIEW.zoom);
+	L.tileLayer(tiles.url, { attribution: tiles.attribution, maxZoom: tiles.maxZoom }).addTo(leafletMap);
+	// clustering keeps Mong Kok / Causeway Bay readable; plain layer if the plugin didn't load
+	markerLayer = typeof L.markerClusterGroup === 'function'
+		? L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 50 })
+		: L.layerGroup();
+	markerLayer.addTo(leafletMap);
+	if (onMove) leafletMap.on('moveend', onMove);
+	return leafletMap;
+}
+
+// Replace the markers with one per doctor that has coordinates.
+// popupHtml(doc) builds the popup, onSelect(doc) runs on click. Returns how many were skipped.
+function showDoctorsOnMap(list, popupHtml, onSelect, fit) {
+	if (!leafletMap) return 0;
+	markerLayer.clearLayers();
+	const points = [];
+	let skipped = 0;
+	list.forEach(d => {
+		if (typeof d.lat !== 'number' || typeof d.lng !== 'number') { skipped++; return; }
+		const marker = L.marker([d.lat, d.lng]);
+		marker.bindPopup(popupHtml(d));
+		marker.on('click', () => onSelect(d));
+		markerLayer.addLayer(marker);
+		points.push([d.lat, d.lng]);
+	});
+	if (fit && points.length) leafletMap.fitBounds(points, { padding: [24, 24], maxZoom: 17 });
+	return skipped;
+}
+
+// is this point inside the part of the map currently on screen?
+function mapBoundsContain(lat, lng) {
+	if (!leafletMap || typeof lat !== 'number' || typeof lng !== 'number') return false;
+	return leafletMap.getBounds().contains([lat, lng]);
+}
+
+// Leaflet measures its container on creation, so it needs a nudge after being unhidden
+function refreshMapSize() {
+	if (leafletMap) leafletMap.invalidateSize();
+}
@@ -0,0 +1,305 @@
+// <mixcare-doctor-list>: the doctor directory as a self-contained element for partner and
+// insurer portals. One script tag on the host page:
+//
+//   <script src="https://<directory host>/mixcare-doctor-list.js"></script>
+//   <mixcare-doctor-list lang="zh-HK" specialty="中醫" district="沙田區" locked="specialty district"></mixcare-doctor-list>
+//
+// Attributes:
+//   src            doctors.json URL (default: data/doctors.json next to this script)
+//   lang           en | zh-HK | zh-CN (zh-hk, zh, zh-cn, zh-hans also work); UI strings come from locales/<lang>.json
+//   q, specialty, qualification, city, state, district, area
+//                  preset filters, labels in either language (state is the region: 香港島 / 九龍 / 新界).
+//                  Search, specialty and district have controls; the others have none and always apply.
+//   locked         filters the visitor can't change, space or comma separated ("specialty district");
+//                  their controls are left out
+//   hide-filters   no filter controls at all, just the list
+// Events (bubble out of the shadow root):
+//   doctor-select  a doctor's details were opened. detail: { id, name, specialty, district, address, phone, record }
+//   doctor-call    a call link was clicked; same detail. Cancelable: preventDefault() keeps the tel: link
+//                  from opening, e.g. to run the host's own booking flow instead.
+// The parsing / search scripts it needs (ingest.js and friends) load from the same folder
+// unless the page already has them. They tell Node from the browser by `module`, not by
+// `require`, which RequireJS / AMD host pages define globally too. Styling lives in the shadow root; set --mixcare-accent to theme it.
+
+// folder this script was loaded from: dependencies and the default data URL are relative to it
+const EMBED_BASE = document.currentScript && document.currentScript.src ? new URL('.', document.currentScript.src).href : location.href;
+
+// sibling script -> a function it defines, to tell whether the page already loaded it
+const EMBED_DEPENDENCIES = [
+	['hours.js', 'parseOpeningHours'],
+	['credentials.js', 'parseDoctorName'],
+	['pricing.js', 'parseCopayRemark'],
+	['freshness.js', 'parseUpdateTimestamp'],
+	['phones.js', 'parseHkPhone'],
+	['clinics.js', 'coordinateClashes'],
+	['search.js', 'buildSearchIndex'],
+	['filterindex.js', 'buildFilterIndex'],
+	['geo.js', 'distanceTo'],
+	['ingest.js', 'ingestDoctors'],
+	['doctors.js', 'mergeByDocId'],
+	['chinese.js', 'addSimplifiedChinese'],
+	['directory.js', 'openingMatches'],
+	['i18n.js', 'formatMessage']
+];
+
+const EMBED_FILTERS = ['q', 'specialty', 'qualification', 'city', 'state', 'district', 'area'];
+
+const EMBED_PAGE_SIZE = 20;
+
+const EMBED_STYLE = `
+:host{display:block;--mixcare-accent:#0d6efd;font-family:inherit;color:inherit}
+:host([hidden]){display:none}
+.filters{display:flex;flex-wrap:wrap;gap:8px;margin-bottom:12px}
+.filters input,.filters select{font:inherit;padding:6px 8px;border:1px solid #cbd5e1;border-radius:6px;background:#fff;min-width:0}
+.filters input{flex:1 1 220px}
+.count{color:#64748b;font-size:.9em;margin-bottom:8px}
+.list{display:grid;gap:10px}
+.doctor{border:1px solid #e2e8f0;border-radius:8px;padding:12px;background:#fff}
+.doctor header{display:flex;justify-content:space-between;align-items:baseline;gap:8px}
+.name{all:unset;cursor:pointer;font-weight:600;color:var(--mixcare-accent)}
+.name:focus-visible{outline:2px solid var(--mixcare-accent);outline-offset:2px}
+.specialty,.where,.meta{color:#64748b;font-size:.9em}
+.open{color:#15803d}
+.more-info{margin-top:8px;font-size:.9em}
+.actions{margin-top:8px;display:flex;gap:8px}
+.call{display:inline-block;padding:4px 12px;border-radius:6px;background:var(--mixcare-accent);color:#fff;text-decoration:none;font-size:.9em}
+mark{background:#fef08a;color:inherit}
+.more{margin-top:10px;font:inherit;padding:6px 12px;border:1px solid #cbd5e1;border-radius:6px;background:#fff;cursor:pointer}
+.error{color:#b91c1c}
+`;
+
+function embedLoadScript(url) {
+	return new Promise((resolve, reject) => {
+		const el = document.createElement('script');
+		el.src = url;
+		el.onload = resolve;
+		el.onerror = () => reject(new Error('Failed to load ' + url));
+		document.head.appendChild(el);
+	});
+}
+
+// in order, one at a time: later scripts use the earlier ones' functions when they run
+let embedReady = null;
+function embedDependencies() {
+	if (!embedReady) {
+		embedReady = EMBED_DEPENDENCIES.reduce((chain, [file, fn]) => chain.then(() => (
+			typeof globalThis[fn] === 'function' ? null : embedLoadScript(new URL(file, EMBED_BASE).href)
+		)), Promise.resolve());
+	}
+	return embedReady;
+}
+
+// "zh-hk" / "zh" -> 'zh-HK', "zh-cn" -> 'zh-CN', anything else -> 'en' (needs i18n.js, see embedDependencies)
+function embedLanguage(code) {
+	return localeFromCode(code) || 'en';
+}
+
+class MixcareDoctorList extends HTMLElement {
+	static get observedAttributes() {
+		return ['src', 'lang', 'locked', 'hide-filters'].concat(EMBED_FILTERS);
+	}
+
+	constructor() {
+		super();
+		this.attachShadow({ mode: 'open' });
+		this.directory = null;
+		// the locale's catalog (locales/<lang>.json), then English for anything it lacks
+		this.strings = [];
+		this.filters = {};
+		this.limit = EMBED_PAGE_SIZE;
+		this.loading = null;
+	}
+
+	connectedCallback() {
+		if (!this.loading) this.load();
+	}
+
+	attributeChangedCallback(name, oldValue, value) {
+		if (!this.loading || oldValue === value) return;
+		if (name === 'src' || name === 'lang') this.load();
+		else if (this.directory) this.reset();
+	}
+
+	get language() {
+		return embedLanguage(this.getAttribute('lang'));
+	}
+
+	get dataUrl() {
+		return new URL(this.getAttribute('src') || 'data/doctors.json', this.getAttribute('src') ? location.href : EMBED_BASE).href;
+	}
+
+	get locked() {
+		return new Set((this.getAttribute('locked') || '').split(/[\s,]+/).filter(Boolean));
+	}
+
+	text(key, ...args) {
+		const catalog = this.strings.find(c => key in c);
+		return catalog ? formatMessage(catalog[key], this.language, args) : key;
+	}
+
+	label(doc, field) {
+		return localizedField(doc, field, this.language).value;
+	}
+
+	async load() {
+		const url = this.dataUrl;
+		this.shadowRoot.innerHTML = `<style>${EMBED_STYLE}</style><div class="count" part="count">…</div>`;
+		const loading = this.loading = (async () => {
+			await embedDependencies();
+			// the locale aliases live in i18n.js, which may only just have loaded
+			const lang = this.language;
+			const catalogs = await Promise.all([...new Set([lang, 'en'])].map(l => loadCatalog(l, EMBED_BASE).catch(() => ({}))));
+			if (loading === this.loading) {
+				this.strings = catalogs;
+				this.shadowRoot.querySelector('.count').textContent = this.text('loading');
+			}
+			const res = await fetch(url, { cache: 'no-cache' });
+			if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
+			const raw = await res.json();
+			// romanized search (Cheng Chi Tung) when jyutping.json sits next to the data, simplified
+			// Chinese from t2s.json for zh-CN and public holidays from holidays.json; plain search /
+			// traditional text / holiday-dependent statuses shown as unknown without them
+			const table = file => fetch(new URL(file, url).href).then(r => (r.ok ? r.json() : {})).catch(() => ({}));
+			const [roman, simplified, holidays] = await Promise.all([table('jyutping.json'), lang === 'zh-CN' ? table('t2s.json') : {}, table('holidays.json')]);
+			setPublicHolidays(holidays);
+			return new DoctorDirectory(raw, { romanTable: roman.chars || {}, simplifiedTable: simplified.chars || null });
+		})();
+		try {
+			const directory = await loading;
+			// a newer load (src changed meanwhile) wins
+			if (loading !== this.loading) return;
+			this.directory = directory;
+			this.reset();
+		} catch (err) {
+			if (loading !== this.loading) return;
+			console.error(err);
+			this.shadowRoot.innerHTML = `<style>${EMBED_STYLE}</style><div class="error" part="error">${this.text('loadErrorTitle')}</div>`;
+		}
+	}
+
+	// filters back to the attribute presets, controls rebuilt
+	reset() {
+		EMBED_FILTERS.forEach(f => { this.filters[f] = (this.getAttribute(f) || '').trim(); });
+		this.limit = EMBED_PAGE_SIZE;
+		this.renderShell();
+		this.update();
+	}
+
+	// the filters as a directory query (q is the search box)
+	get criteria() {
+		return Object.assign({}, this.filters, { text: this.filters.q });
+	}
+
+	// results passing every filter ({ doctor, hits }), best search match first
+	matching() {
+		return this.directory.query(this.criteria).results;
+	}
+
+	// the labels left under the other filters, in the element's language
+	optionsHtml(field, facets) {
+		const allLabel = this.text(field === 'specialty' ? 'allSpecialties' : 'allDistricts');
+		const labels = facets[field].map(f => f.value).sort((a, b) => a.localeCompare(b));
+		const current = this.filters[field];
+		// a preset in the other language still shows as selected
+		if (current && !labels.includes(current)) labels.unshift(current);
+		return `<option value="">${escapeHtml(allLabel)}</option>${labels.map(l => `<option${l === current ? ' selected' : ''}>${escapeHtml(l)}</option>`).join('')}`;
+	}
+
+	renderShell() {
+		const locked = this.locked;
+		const hide = this.hasAttribute('hide-filters');
+		const controls = [];
+		if (!hide && !locked.has('q')) controls.push(`<input type="search" data-filter="q" placeholder="${escapeHtml(this.text('searchPlaceholder'))}" aria-label="${escapeHtml(this.text('searchPlaceholder'))}" value="${escapeHtml(this.filters.q)}">`);
+		['specialty', 'district'].forEach(field => {
+			if (!hide && !locked.has(field)) controls.push(`<select data-filter="${field}" aria-label="${field}"></select>`);
+		});
+		this.shadowRoot.innerHTML = `<style>${EMBED_STYLE}</style>
+			${controls.length ? `<div class="filters" part="filters">${controls.join('')}</div>` : ''}
+			<div class="count" part="count" aria-live="polite"></div>
+			<div class="list" part="list"></div>
+			<button type="button" class="more" part="more" hidden></button>`;
+		this.shadowRoot.querySelectorAll('[data-filter]').forEach(el => {
+			el.addEventListener(el.tagName === 'INPUT' ? 'input' : 'change', () => {
+				this.filters[el.dataset.filter] = el.value.trim();
+				this.limit = EMBED_PAGE_SIZE;
+				this.update();
+			});
+		});
+		this.shadowRoot.querySelector('.more').addEventListener('click', () => {
+			this.limit += EMBED_PAGE_SIZE;
+			this.update();
+		});
+	}
+
+	update() {
+		const list = this.matching();
+		const root = this.shadowRoot;
+		root.querySelector('.count').textContent = list.length ? this.text('doctorsCount', list.length) : this.text('noDoctors');
+		const selects = root.querySelectorAll('select[data-filter]');
+		const facets = selects.length ? this.directory.facets(this.criteria, this.language) : null;
+		selects.forEach(sel => { sel.innerHTML = this.optionsHtml(sel.dataset.filter, facets); });
+		const listEl = root.querySelector('.list');
+		const now = hongKongNow();
+		listEl.replaceChildren(...list.slice(0, this.limit).map(r => this.card(r, now)));
+		const more = root.querySelector('.more');
+		more.hidden = list.length <= this.limit;
+		more.textContent = this.text('showMore', list.length - this.limit);
+	}
+
+	// r: a query result, { doctor, hits }; now: hongKongNow(), once per render
+	card(r, now) {
+		const d = r.doctor;
+		const nameR = localizedField(d, 'name', this.language);
+		// derived zh-CN names line up with their zh-HK source, whose hits mark them too (see chinese.js)
+		const derived = nameR.lang === 'zh-CN' && (d.derivedLanguages || []).includes('zh-CN');
+		const hits = (r.hits || []).filter(h => h.field === 'name' && (h.lang === nameR.lang || (derived && h.lang === 'zh-HK')));
+		const phone = parseHkPhone(this.label(d, 'phone'));
+		// undefined without hours; null when a holiday the calendar doesn't cover decides it
+		const open = hasAnySessions(d.schedule) ? isOpenAt(d.schedule, now.day, now.minutes, now.holiday, now.holidayBefore) : undefined;
+		const copay = d.pricing && d.pricing.copay !== null ? this.text('copayAmount', formatHkd(d.pricing.copay)) : '';
+		const el = document.createElement('article');
+		el.className = 'doctor';
+		el.setAttribute('part', 'card');
+		el.dataset.id = String(d.baseId);
+		el.innerHTML = `<header>
+				<button type="button" class="name" part="name" aria-expanded="false">${highlightHtml(nameR.value, hits)}</button>
+				<span class="specialty">${escapeHtml(this.label(d, 'specialty'))}</span>
+			</header>
+			<div class="where">${[this.label(d, 'district'), this.label(d, 'area')].filter(Boolean).map(escapeHtml).join(' • ')}</div>
+			<div>${escapeHtml(this.label(d, 'address'))}</div>
+			<div class="meta">${[open === undefined ? '' : `<span class="${open ? 'open' : ''}">${this.text(open === null ? 'openUnknown' : (open ? 'openNow' : 'closedNow'))}</span>`, escapeHtml(copay)].filter(Boolean).join(' · ')}</div>
+			<div class="more-info" hidden><strong>${this.text('compareHours')}:</strong> ${escapeHtml(this.label(d, 'opening') || '—')}</div>
+			${phone.valid ? `<div class="actions"><a class="call" part="call" href="tel:${phone.e164}">${this.text('callToBook')} ${phone.display}</a></div>` : ''}`;
+		const nameBtn = el.querySelector('.name');
+		nameBtn.addEventListener('click', () => {
+			const info = el.querySelector('.more-info');
+			info.hidden = !info.hidden;
+			nameBtn.setAttribute('aria-expanded', String(!info.hidden));
+			if (!info.hidden) this.emit('doctor-select', d);
+		});
+		const call = el.querySelector('.call');
+		if (call) call.addEventListener('click', (e) => {
+			if (!this.emit('doctor-call', d)) e.preventDefault();
+		});
+		return el;
+	}
+
+	// false when a listener called preventDefault()
+	emit(type, d) {
+		const lang = this.language;
+		const detail = {
+			id: String(d.baseId),
+			name: this.label(d, 'name'),
+			specialty: this.label(d, 'specialty'),
+			district: this.label(d, 'district'),
+			address: this.label(d, 'address'),
+			phone: parseHkPhone(this.label(d, 'phone')).display || this.label(d, 'phone'),
+			record: d.records[lang] || Object.values(d.records)[0] || null
+		};
+		return this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true, cancelable: true }));
+	}
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('mixcare-doctor-list')) {
+	customElements.define('mixcare-doctor-list', MixcareDoctorList);
+}
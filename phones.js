@@ -0,0 +1,48 @@
+// Hong Kong phone numbers as the export writes them: "+852 2577 5906", "+ 852 2577 5906",
+// "+852 25775906", "23825793". A local number is 8 digits; the first one tells fixed lines
+// (2, 3) from mobiles (4-7, 9), 8 is special services (toll-free, etc.), 0 and 1 aren't used.
+
+const HK_COUNTRY_CODE = '852';
+
+const HK_NUMBER_KINDS = [
+	{ kind: 'fixed', re: /^[23]/ },
+	{ kind: 'mobile', re: /^[4-79]/ },
+	{ kind: 'special', re: /^8/ }
+];
+
+// "+852 2577-5906" -> { raw, number: '25775906', e164: '+85225775906', display: '+852 2577 5906', kind: 'fixed', valid: true }.
+// Anything else (missing digits, another country, letters or "ext.") comes back valid: false
+// with only raw set, so the UI can show it as typed and mark it.
+function parseHkPhone(text) {
+	const raw = (text || '').toString().trim();
+	const result = { raw, number: '', e164: '', display: '', kind: '', valid: false };
+	const compact = raw.replace(/[\s\-().]/g, '');
+	const m = /^(\+|00)?(\d+)$/.exec(compact);
+	if (!m) return result;
+	let digits = m[2];
+	if (digits.length === 11 && digits.startsWith(HK_COUNTRY_CODE)) digits = digits.slice(3);
+	// a bare 8-digit number is local; any other international prefix isn't Hong Kong
+	else if (m[1] || digits.length !== 8) return result;
+	const type = HK_NUMBER_KINDS.find(k => k.re.test(digits));
+	if (!type) return result;
+	return Object.assign(result, {
+		number: digits,
+		e164: `+${HK_COUNTRY_CODE}${digits}`,
+		display: `+${HK_COUNTRY_CODE} ${digits.slice(0, 4)} ${digits.slice(4)}`,
+		kind: type.kind,
+		valid: true
+	});
+}
+
+// WhatsApp chat link for a Hong Kong mobile number, '' for anything else
+function whatsappLink(text) {
+	const phone = parseHkPhone(text);
+	return phone.kind === 'mobile' ? `https://wa.me/${HK_COUNTRY_CODE}${phone.number}` : '';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		parseHkPhone,
+		whatsappLink
+	};
+}
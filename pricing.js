@@ -0,0 +1,80 @@
+// Co-payment parser for the free-text doc_remark column.
+// "自付費HK$15， 包二日基本藥物" -> { copay: 15, medicineDays: 2, surcharges: [], exclusions: [] }
+// The Price column is empty in every export so far; when it does carry a number,
+// ingest.js uses it for rows whose remark has no amount.
+
+// choices for the "maximum co-pay" filter, in HK$
+const COPAY_OPTIONS = [20, 50, 100, 200, 300];
+
+const CN_DIGIT = { 零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+// HK$15 / HKD 15 / $15 / 港幣15元 / 15元
+const AMOUNT_RE = /(?:hk\s*\$|hkd\s*|港幣|港元|\$)\s*(\d+(?:\.\d+)?)\s*元?|(\d+(?:\.\d+)?)\s*(?:元|蚊)/i;
+
+// 二 -> 2, 十 -> 10, 十四 -> 14, 二十 -> 20; Arabic digits pass through
+function chineseNumber(text) {
+	if (/^\d+$/.test(text)) return Number(text);
+	if (!text || [...text].some(c => !(c in CN_DIGIT) && c !== '十')) return null;
+	const ten = text.indexOf('十');
+	if (ten < 0) return [...text].reduce((n, c) => n * 10 + CN_DIGIT[c], 0);
+	const tens = ten === 0 ? 1 : CN_DIGIT[text[ten - 1]];
+	const ones = ten === text.length - 1 ? 0 : CN_DIGIT[text[ten + 1]];
+	return tens * 10 + ones;
+}
+
+// "HK$15", "15元", or a bare "15" as the Price column would hold it
+function parseAmount(text) {
+	const s = (text || '').toString().trim();
+	if (/^\d+(?:\.\d+)?$/.test(s)) return Number(s);
+	const m = AMOUNT_RE.exec(s);
+	return m ? Number(m[1] || m[2]) : null;
+}
+
+// Split a remark into its clauses and classify each one.
+// ok is false when there's no co-pay amount or a clause couldn't be read.
+function parseCopayRemark(text) {
+	const raw = (text || '').toString();
+	const result = { raw, copay: null, medicineDays: null, surcharges: [], exclusions: [], unparsed: [], ok: false };
+	const clauses = raw
+		.replace(/[！-～]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+		.split(/[,;。\n]+|，|；|、/)
+		.map(c => c.trim())
+		.filter(Boolean);
+	clauses.forEach(clause => {
+		const amount = parseAmount(clause);
+		const days = /([\d一二兩两三四五六七八九十]+)\s*(?:日|天|days?)/i.exec(clause);
+		if (/另收|另加|加收|附加|額外|surcharge|extra|additional/i.test(clause) && amount !== null) {
+			result.surcharges.push({ amount, condition: clause.replace(AMOUNT_RE, '').trim(), raw: clause });
+		} else if (/不包括|不包|另計|除外|exclud|not\s+(?:included|covered)/i.test(clause)) {
+			result.exclusions.push(clause);
+		} else if (/免費|free/i.test(clause) && result.copay === null) {
+			result.copay = 0;
+		} else if (amount !== null && result.copay === null) {
+			result.copay = amount;
+			// "自付費HK$15包兩日藥物" without a comma
+			if (days && /藥|medic/i.test(clause)) result.medicineDays = chineseNumber(days[1]);
+		} else if (/藥|medic/i.test(clause) && days) {
+			result.medicineDays = chineseNumber(days[1]);
+		} else {
+			result.unparsed.push(clause);
+		}
+	});
+	result.ok = result.copay !== null && !result.unparsed.length;
+	return result;
+}
+
+// "HK$15" / "HK$210"; whole dollars stay whole
+function formatHkd(amount) {
+	if (amount === null || amount === undefined) return '';
+	return `HK$${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		COPAY_OPTIONS,
+		chineseNumber,
+		parseAmount,
+		parseCopayRemark,
+		formatHkd
+	};
+}
@@ -1,196 +1,219 @@
 // Data will be loaded from data/doctors.json via fetch.
 let rawData = null;
-// Group raw entries by doc_id+lang so each language-specific row becomes its own display item.
-// This avoids hiding language variants when multiple rows share the same doc_id.
-function mergeByDocId(data) {
-	// Merge rows by doc_id into one doctor object that holds per-language maps.
-	const map = new Map();
-	data.forEach(item => {
-		const id = item.doc_id || '';
-		const lang = item.lang || 'en';
-		if (!map.has(id)) {
-			map.set(id, {
-				id,
-				names: {},
-				addresses: {},
-				address: item.doc_address || "",
-				phones: {},
-				specialties: {},
-				openings: {},
-				remarks: {},
-				areas: {},
-				districts: {},
-				cities: {},
-				lat: item.doc_lat || "",
-				lng: item.doc_long || "",
-				cta_link: item.cta_link || ""
-			});
-		}
-		const doc = map.get(id);
-		// populate per-language maps
-		doc.names[lang] = item.doc_name || doc.names[lang] || '';
-		if (item.doc_address) doc.addresses[lang] = item.doc_address;
-		if (item.doc_tel_A) doc.phones[lang] = item.doc_tel_A;
-		if (item.doc_cat_name) doc.specialties[lang] = item.doc_cat_name;
-		if (item.doc_wh) doc.openings[lang] = item.doc_wh;
-		if (item.doc_remark) doc.remarks[lang] = item.doc_remark;
-		if (item.area_name) doc.areas[lang] = item.area_name;
-		if (item.district_name) doc.districts[lang] = item.district_name;
-		if (item.city_name) doc.cities[lang] = item.city_name;
-		// keep lat/lng if not present yet
-		if (!doc.lat && item.doc_lat) doc.lat = item.doc_lat;
-		if (!doc.lng && item.doc_long) doc.lng = item.doc_long;
-	});
-	return Array.from(map.values());
-}
-
-// normalize per row: each JSON row becomes its own display item
-function normalizePerRow(data) {
-	return data.map((item, idx) => {
-		const lang = item.lang || 'en';
-		return {
-			id: `${item.doc_id || ''}_${lang}_${idx}`,
-			baseId: item.doc_id || '',
-			names: { [lang]: item.doc_name || '' },
-			addresses: { [lang]: item.doc_address || '' },
-			address: item.doc_address || '',
-			phones: { [lang]: item.doc_tel_A || '' },
-			specialties: { [lang]: item.doc_cat_name || '' },
-			openings: { [lang]: item.doc_wh || '' },
-			remarks: { [lang]: item.doc_remark || '' },
-			areas: { [lang]: item.area_name || '' },
-			districts: { [lang]: item.district_name || '' },
-			cities: { [lang]: item.city_name || '' },
-			lat: item.doc_lat || '',
-			lng: item.doc_long || '',
-			cta_link: item.cta_link || ''
-		};
-	});
-}
-
 let doctors = [];
-let showAllRecords = true;
+// language the filters/cards are currently rendered in (langSelect.value before a change)
+let activeLang = 'en';
+// false: one card per doctor id with all its language rows merged (see mergeByDocId)
+let showAllRecords = false;
+// MTR stations / landmarks from data/gazetteer.json
+let gazetteer = [];
+// point distances are measured from: { lat, lng, place } (place is null for the device location)
+let searchOrigin = null;
+// 'list' or 'map' (map + the list underneath it)
+let viewMode = 'list';
+// result of the last applyFilters run, before the optional map-bounds filter
+let lastFiltered = [];
+// doctor -> its result in that run ({ doctor, hits, distance }, see DoctorDirectory.query)
+let lastResults = new Map();
+// the loaded data as a DoctorDirectory (directory.js): filtering, search and facets, built once per data load
+let directory = null;
+// doctors sharing an address / coordinates (clinics.js), for "group by clinic"
+let clinicIndex = { clinics: [], byDoctor: new Map() };
+// doctor ids opened out to their full card inside a clinic card
+const expandedClinicDoctors = new Set();
+// cards are rendered a page at a time; the next page loads when the end of the list comes into view
+const RESULTS_PAGE_SIZE = 30;
+// the list renderDoctors was last given, and how much of it is on screen
+let renderedList = [];
+let renderLimit = RESULTS_PAGE_SIZE;
+// reusable cards: slot i shows renderedList[i]
+let cardSlots = [];
+// wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 150;
+// last filter / render times in ms, also on window.__renderTimings
+let renderTimings = { filter: 0, render: 0, shown: 0, total: 0 };
+// show the timings under the result count (?perf, or automatically with ?synthetic=N)
+let showTimings = false;
+// saved doctors (shortlist.js entries) and how each compares with the loaded data
+let shortlist = [];
+let shortlistState = [];
+// cards of doctors not re-confirmed for longer than this get a "may be outdated" mark (freshness.js)
+const staleAfterDays = Number(document.getElementById('results').dataset.staleAfterDays) || DEFAULT_STALE_AFTER_DAYS;
+// where the loaded doctors.json came from: 'network', or 'cache' when sw.js answered with its saved copy
+let dataStatus = { source: 'network', fetchedAt: null, updateReady: false };
 
 async function loadDoctors() {
-	// show loading
-	if (resultCountEl) resultCountEl.textContent = 'Loading...';
+	// show loading (messages before the data is in follow the link's language)
+	langSelect.value = urlLanguage(langSelect.value || 'en');
+	await loadTranslations();
+	if (resultCountEl) resultCountEl.textContent = t('loading');
 	try {
-		// fetch from absolute path so URL path segments (like /zh-hk) don't break the request
+		// fetch from absolute path so URL path segments (like /zh-hk) don't break the request;
+		// revalidate with the server rather than skip the HTTP cache, sw.js keeps the offline copy
 		const dataUrl = new URL('/data/doctors.json', location.origin).toString();
-		const res = await fetch(dataUrl, { cache: 'no-store' });
+		const res = await fetch(dataUrl, { cache: 'no-cache' });
 		if (!res.ok) throw new Error('Failed to load doctors.json: ' + res.status);
+		dataStatus.source = res.headers.get('X-Data-Source') || 'network';
+		dataStatus.fetchedAt = res.headers.get('X-Data-Fetched') || new Date().toISOString();
 		rawData = await res.json();
-		// use showAllRecords flag to decide merge strategy
-		doctors = showAllRecords ? normalizePerRow(rawData) : mergeByDocId(rawData);
-
-		// detect language from URL (path first segment) or query param e.g. ?lang=zh-hk
-		let initialLang = 'en';
-		try{
-			const params = new URLSearchParams(location.search);
-			const q = params.get('lang');
-			const pathSeg = (location.pathname.split('/').filter(Boolean)[0] || '').toLowerCase();
-			const cand = (q || pathSeg || '').toLowerCase();
-			if (cand) {
-				if (['zh-hk','zh_hk','zhhk','zh-hant','zh'].includes(cand)) initialLang = 'zh-HK';
-				else if (['en','en-us','en-gb'].includes(cand)) initialLang = 'en';
-			}
-		} catch(e){ /* ignore */ }
+		// ?synthetic=10000 pads the data with generated doctors to time the UI at full-network size
+		const params = new URLSearchParams(location.search);
+		const syntheticCount = Number(params.get('synthetic')) || 0;
+		showTimings = params.has('perf') || syntheticCount > 0;
+		// the gazetteer has to be in before a ?place= link can be restored
+		const [romanTable, simplifiedTable] = await Promise.all([loadRomanTable(), loadSimplifiedTable(), loadGazetteer(), loadHolidays()]);
+		// map the export's column names onto the canonical schema, check it and index it;
+		// showAllRecords decides the merge strategy
+		directory = new DoctorDirectory(rawData, {
+			romanTable,
+			simplifiedTable,
+			perRow: showAllRecords,
+			ingest: { staleAfterDays },
+			prepare: syntheticCount ? records => syntheticRecords(records, syntheticCount) : null
+		});
+		// the data checks are for the network team (node ingest.js); on the page only with ?perf
+		window.__validationReport = directory.report;
+		if (params.has('perf') && countIssues(directory.report)) console.warn('doctors.json validation:\n' + formatValidationReport(directory.report));
+		doctors = directory.doctors;
+		clinicIndex = buildClinics(doctors);
+
+		// without a hint in the URL, open in English only if the export actually has English rows
+		const dataLangs = new Set(directory.languages);
+		const initialLang = urlLanguage(dataLangs.has('en') || !dataLangs.size ? 'en' : (dataLangs.has('zh-HK') ? 'zh-HK' : [...dataLangs][0]));
 		if (langSelect) langSelect.value = initialLang;
+		activeLang = initialLang;
+		document.documentElement.lang = initialLang;
 		// initialize filters and UI after data loaded
 		populateFilters();
 		applyTranslationsToUI();
-		// set default city selection to Hong Kong if available
-		setDefaultCitySelection();
-		updateDistrictsForCity(citySelect.value || '');
-		updateAreasForDistrict(citySelect.value || '', areaSelect.value || '');
-		applyFilters();
+		// saved doctors from earlier visits, checked against this data
+		loadShortlist();
+		// filters, sort and view from the link; the default city (Hong Kong) when it names none
+		applyUrlState(parseFilterState(location.search), history.state && history.state.origin);
+		applyFilters('replace');
+		renderDataStatus();
 	} catch (err) {
 		console.error(err);
-		resultsEl.innerHTML = `<div class="col-12"><div class="card"><div class="card-body text-danger">Error loading data</div></div></div>`;
-		if (resultCountEl) resultCountEl.textContent = '0 doctors';
+		renderLoadError();
 	}
 }
 
+// in place of the results when doctors.json can't be had (offline before it was ever saved, server down)
+function renderLoadError(){
+	const offline = navigator.onLine === false;
+	resultsEl.innerHTML = `<div class="col-12"><div class="card load-error"><div class="card-body">
+		<h5 class="card-title">${t(offline ? 'loadErrorOfflineTitle' : 'loadErrorTitle')}</h5>
+		<p class="mb-3">${t(offline ? 'loadErrorOffline' : 'loadError')}</p>
+		<button type="button" class="btn btn-primary btn-sm">${t('retry')}</button>
+	</div></div></div>`;
+	resultsEl.querySelector('.load-error button').addEventListener('click', () => location.reload());
+	if (resultCountEl) resultCountEl.textContent = '';
+}
+
+// "2026-05-01T02:30:00Z" -> "1 May 2026, 10:30 am" in Hong Kong time, in the UI language
+function formatDataDate(iso){
+	return new Date(iso).toLocaleString(langSelect.value || 'en', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Hong_Kong' });
+}
+
+// "offline — data from <date>" while there is no connection or sw.js answered with the saved copy;
+// a reload offer once a newer export has come in behind it
+function renderDataStatus(){
+	const offline = dataStatus.source === 'cache' || navigator.onLine === false;
+	let text = '';
+	if (dataStatus.updateReady) text = t('dataUpdated');
+	else if (offline && dataStatus.fetchedAt) text = t('offlineData', formatDataDate(dataStatus.fetchedAt));
+	document.getElementById('dataStatusText').textContent = text;
+	dataStatusBtn.textContent = t('reload');
+	dataStatusBtn.hidden = !dataStatus.updateReady;
+	dataStatusEl.hidden = !text;
+}
+
 // UI elements
 const searchInput = document.getElementById('searchInput');
 const specialtySelect = document.getElementById('specialtySelect');
+const qualificationSelect = document.getElementById('qualificationSelect');
 const citySelect = document.getElementById('citySelect');
+const stateSelect = document.getElementById('stateSelect');
 const districtSelect = document.getElementById('districtSelect');
 const areaSelect = document.getElementById('areaSelect');
+// the select filters by directory field, and the translation key of each one's "all" option
+const filterSelects = { specialty: specialtySelect, qualification: qualificationSelect, city: citySelect, state: stateSelect, district: districtSelect, area: areaSelect };
+const FILTER_ALL_LABELS = { specialty: 'allSpecialties', qualification: 'allQualifications', city: 'allCities', state: 'allStates', district: 'allDistricts', area: 'allAreas' };
 const resultsEl = document.getElementById('results');
 const resultCountEl = document.getElementById('resultCount');
+const renderTimingEl = document.getElementById('renderTiming');
+const resultsMore = document.getElementById('resultsMore');
+const resultsMoreBtn = document.getElementById('resultsMoreBtn');
+const shortlistCountEl = document.getElementById('shortlistCount');
+const shortlistBody = document.getElementById('shortlistBody');
+const shortlistNotice = document.getElementById('shortlistNotice');
+const dataStatusEl = document.getElementById('dataStatus');
+const dataStatusBtn = document.getElementById('dataStatusBtn');
+const exportMenu = document.getElementById('exportMenu');
+const printView = document.getElementById('printView');
+// placeholder card for an empty result list
+const noResultsEl = document.createElement('div'); noResultsEl.className = 'col-12'; noResultsEl.innerHTML = '<div class="card"><div class="card-body meta"></div></div>';
 const clearBtn = document.getElementById('clearFilters');
 const langSelect = document.getElementById('langSelect');
+const openSelect = document.getElementById('openSelect');
+const copaySelect = document.getElementById('copaySelect');
+const openAtRow = document.getElementById('openAtRow');
+const openDaySelect = document.getElementById('openDaySelect');
+const openTimeInput = document.getElementById('openTimeInput');
+const placeInput = document.getElementById('placeInput');
+const placeList = document.getElementById('placeList');
+const nearMeBtn = document.getElementById('nearMeBtn');
+const radiusSelect = document.getElementById('radiusSelect');
+const sortSelect = document.getElementById('sortSelect');
+const locationStatus = document.getElementById('locationStatus');
+const viewToggle = document.getElementById('viewToggle');
+const boundsFilter = document.getElementById('boundsFilter');
+const boundsFilterWrap = document.getElementById('boundsFilterWrap');
+const groupByClinicSwitch = document.getElementById('groupByClinic');
+const mapViewEl = document.getElementById('mapView');
+const mapNote = document.getElementById('mapNote');
 
-// simple translations for UI strings
-const translations = {
-	en: {
-        brand: 'MixCare <strong>Doctor List</strong>',
-		searchPlaceholder: 'Search doctor name (EN / 中文)',
-		allSpecialties: 'All Specialties',
-		allCities: 'All Cities',
-		allDistricts: 'All Districts',
-		allAreas: 'All Areas',
-		clearFilters: 'Clear filters',
-		callToBook: 'Call to book',
-		map: 'Map',
-		noDoctors: 'No doctors found.',
-		phoneLabel: 'Phone',
-		addressLabel: 'Address',
-		openingLabel: 'Opening',
-		remarkLabel: 'Remark',
-		doctorsCount: (n) => `${n} doctor${n>1? 's':' found'}`,
-		showAllRecords: 'Show all records'
-	},
-	'zh-HK': {
-        brand: 'MixCare 網絡醫生名單',
-		searchPlaceholder: '搜尋醫生姓名（英文/中文）',
-		allSpecialties: '所有專科',
-		allCities: '所有城市',
-		allDistricts: '所有地區',
-		allAreas: '所有分區',
-		clearFilters: '清除篩選',
-		callToBook: '致電預約',
-		map: '地圖',
-		noDoctors: '找不到醫生。',
-		phoneLabel: '電話',
-		addressLabel: '地址',
-		openingLabel: '診症時間',
-		remarkLabel: '自付費及藥物:',
-		doctorsCount: (n) => `共找到 ${n} 位醫生`,
-		showAllRecords: '顯示所有紀錄'
-	}
-};
+// UI strings by locale, from locales/<lang>.json (see i18n.js); loaded at the start of loadDoctors
+let translations = {};
 
+// key -> the message in the UI language (English when that catalog lacks it), arguments filled in
 function t(key, ...args){
 	const lang = langSelect.value || 'en';
-	const dict = translations[lang] || translations.en;
-	const v = dict[key];
-	if(typeof v === 'function') return v(...args);
-	return v;
+	const dict = translations[lang] || {};
+	const message = key in dict ? dict[key] : (translations.en || {})[key];
+	return message === undefined ? key : formatMessage(message, lang, args);
 }
 
 // helper to get localized data field from a doctor object
 function tData(doc, field, lang){
-	lang = lang || (langSelect && langSelect.value) || 'en';
-	// map of field -> plural key in doctor object
-	const plural = {
-		name: 'names',
-		address: 'addresses',
-		specialty: 'specialties',
-		opening: 'openings',
-		area: 'areas',
-		district: 'districts',
-		city: 'cities',
-		phone: 'phones',
-		remark: 'remarks'
-	};
-	const key = plural[field] || (field + 's');
-	const map = doc[key] || {};
-	if (map && typeof map === 'object' && !Array.isArray(map)){
-		return map[lang] || map['zh-HK'] || map['zh-CN'] || map['en'] || '';
+	return tDataWithLang(doc, field, lang).value;
+}
+
+// same as tData, but also reports which language the value actually came from
+// so the card can flag fallbacks instead of silently mixing languages
+function tDataWithLang(doc, field, lang){
+	return localizedField(doc, field, lang || (langSelect && langSelect.value) || 'en');
+}
+
+// helper to display nice labels for language codes
+function langLabel(code){
+	switch((code||'').toLowerCase()){
+		case 'en': return 'EN';
+		case 'zh-hk': return '中文 (繁)';
+		case 'zh-cn': return '中文 (简)';
+		case 'zh-hant': return '中文 (繁)';
+		case 'zh-hans': return '中文 (简)';
+		case 'zh': return '中文';
+		default: return code;
 	}
-	return map || '';
+}
+
+// find the label for the same place/specialty in another language,
+// e.g. "Sha Tin District" <-> "沙田區", using any doctor that carries both
+function translateLabel(field, value, fromLang, toLang){
+	if (!value || fromLang === toLang) return value;
+	const match = doctors.find(d => tData(d, field, fromLang) === value);
+	return (match && tData(match, field, toLang)) || value;
 }
 
 function applyTranslationsToUI(){
@@ -200,58 +223,390 @@ function applyTranslationsToUI(){
 	// update static option labels
 	specialtySelect.querySelector('option') && (specialtySelect.querySelector('option').textContent = t('allSpecialties'));
 	citySelect.querySelector('option') && (citySelect.querySelector('option').textContent = t('allCities'));
+	stateSelect.querySelector('option') && (stateSelect.querySelector('option').textContent = t('allStates'));
 	districtSelect.querySelector('option') && (districtSelect.querySelector('option').textContent = t('allDistricts'));
 	areaSelect.querySelector('option') && (areaSelect.querySelector('option').textContent = t('allAreas'));
+	qualificationSelect.querySelector('option') && (qualificationSelect.querySelector('option').textContent = t('allQualifications'));
 	clearBtn.textContent = t('clearFilters');
+	populateOpeningOptions();
+	populateNearMeOptions();
+	populatePriceOptions();
+	viewToggle.querySelector('[data-view="list"]').textContent = t('listView');
+	viewToggle.querySelector('[data-view="map"]').textContent = t('mapView');
+	document.getElementById('boundsFilterLabel').textContent = t('boundsFilter');
+	document.getElementById('groupByClinicLabel').textContent = t('groupByClinic');
+	document.getElementById('shortlistBtnLabel').textContent = t('shortlist');
+	document.getElementById('shortlistTitle').textContent = t('shortlist');
+	document.getElementById('shortlistNoticeBtn').textContent = t('viewShortlist');
+	document.getElementById('exportBtn').textContent = t('exportMenu');
+	const exportLabels = { csv: t('exportCsv'), vcf: t('exportVcf'), print: t('exportPrint') };
+	exportMenu.querySelectorAll('[data-export]').forEach(item => { item.textContent = exportLabels[item.dataset.export]; });
+	renderShortlist();
+	renderDataStatus();
 }
 
-// update the URL query param 'lang' without reloading the page
-function updateUrlLang(lang){
-	if (!lang) return;
-	const normalized = (lang || '').toString().toLowerCase().replace('_','-');
-	const url = new URL(location.href);
-	url.searchParams.set('lang', normalized);
-	// keep pathname as-is
-	history.replaceState(null, '', url.toString());
+// opening filter labels + the day list for "open on a chosen day/time"
+function populateOpeningOptions(){
+	const labels = { '': t('openAny'), now: t('openNowFilter'), at: t('openAtFilter'), sunday: t('openSundayFilter') };
+	Array.from(openSelect.options).forEach(opt => { opt.textContent = labels[opt.value]; });
+	const selectedDay = openDaySelect.value;
+	openDaySelect.innerHTML = '';
+	// Monday first, then Sunday and public holidays
+	[1, 2, 3, 4, 5, 6, 0].forEach(day => {
+		const opt = document.createElement('option'); opt.value = String(day); opt.textContent = t('dayNames')[day]; openDaySelect.appendChild(opt);
+	});
+	const ph = document.createElement('option'); ph.value = 'ph'; ph.textContent = t('publicHoliday'); openDaySelect.appendChild(ph);
+	if (selectedDay) openDaySelect.value = selectedDay;
 }
 
-// Populate specialty and area/district/sub lists
-function populateFilters() {
-	const specialties = new Set();
-	const cities = new Map(); // cityLabel -> set(districtLabel) -> set(areaLabel)
+// default the chosen day/time to "now" in Hong Kong
+function fillOpenAtDefaults(){
+	if (openSelect.value !== 'at' || openTimeInput.value) return;
+	const now = hongKongNow();
+	openDaySelect.value = now.holiday ? 'ph' : String(now.day);
+	openTimeInput.value = formatMinutes(now.minutes);
+}
 
-	// build localized sets based on current language
-	const lang = (langSelect && langSelect.value) || 'en';
-	doctors.forEach(d => {
-		const spec = tData(d, 'specialty', lang) || d.specialty || '';
-		if (spec) specialties.add(spec);
-
-		const cityLabel = tData(d, 'city', lang) || d.city || '';
-		const districtLabel = tData(d, 'district', lang) || d.district || '';
-		const areaLabel = tData(d, 'area', lang) || d.area || '';
-
-		if (!cities.has(cityLabel)) cities.set(cityLabel, new Map());
-		const districtMap = cities.get(cityLabel);
-		if (!districtMap.has(districtLabel)) districtMap.set(districtLabel, new Set());
-		if (areaLabel) districtMap.get(districtLabel).add(areaLabel);
+// the opening filter as a directory criterion (see openingMatches in directory.js)
+function openingCriterion(){
+	if (openSelect.value !== 'at') return openSelect.value;
+	const [hh, mm] = (openTimeInput.value || '00:00').split(':').map(Number);
+	return { day: openDaySelect.value, minutes: hh * 60 + mm };
+}
+
+// radius / sort labels and the station list, in the current language
+function populateNearMeOptions(){
+	placeInput.placeholder = t('placePlaceholder');
+	nearMeBtn.textContent = t('useMyLocation');
+	const selectedRadius = radiusSelect.value;
+	radiusSelect.innerHTML = '';
+	const any = document.createElement('option'); any.value = ''; any.textContent = t('anyDistance'); radiusSelect.appendChild(any);
+	RADIUS_OPTIONS.forEach(m => {
+		const opt = document.createElement('option'); opt.value = String(m); opt.textContent = t('withinDistance', formatDistance(m)); radiusSelect.appendChild(opt);
 	});
+	radiusSelect.value = selectedRadius;
+	const sortLabels = { '': t('sortDefault'), distance: t('sortDistance'), price: t('sortPrice'), updated: t('sortUpdated') };
+	Array.from(sortSelect.options).forEach(opt => { opt.textContent = sortLabels[opt.value]; });
+	const lang = langSelect.value || 'en';
+	placeList.innerHTML = '';
+	gazetteer.forEach(p => {
+		const opt = document.createElement('option'); opt.value = placeLabel(p, lang); placeList.appendChild(opt);
+	});
+	if (searchOrigin && searchOrigin.place) placeInput.value = placeLabel(searchOrigin.place, lang);
+	updateLocationStatus();
+}
 
-	// specialties (localized)
-	[...specialties].sort().forEach(s => {
-		const opt = document.createElement('option'); opt.value = s; opt.textContent = s; specialtySelect.appendChild(opt);
+// maximum co-pay choices, in the current language
+function populatePriceOptions(){
+	const selected = copaySelect.value;
+	copaySelect.innerHTML = '';
+	const any = document.createElement('option'); any.value = ''; any.textContent = t('anyCopay'); copaySelect.appendChild(any);
+	COPAY_OPTIONS.forEach(amount => {
+		const opt = document.createElement('option'); opt.value = String(amount); opt.textContent = t('maxCopay', formatHkd(amount)); copaySelect.appendChild(opt);
 	});
+	copaySelect.value = selected;
+}
+
+// character -> Jyutping readings, for matching romanized names; search still works without it
+async function loadRomanTable(){
+	try {
+		const res = await fetch(new URL('/data/jyutping.json', location.origin).toString());
+		if (!res.ok) throw new Error('Failed to load jyutping.json: ' + res.status);
+		return (await res.json()).chars || {};
+	} catch (err) {
+		console.warn(err);
+		return {};
+	}
+}
+
+// traditional -> simplified characters, for the zh-CN text (chinese.js); zh-CN shows zh-HK text without it
+async function loadSimplifiedTable(){
+	try {
+		const res = await fetch(new URL('/data/t2s.json', location.origin).toString());
+		if (!res.ok) throw new Error('Failed to load t2s.json: ' + res.status);
+		return (await res.json()).chars || {};
+	} catch (err) {
+		console.warn(err);
+		return {};
+	}
+}
+
+// every locale's catalog, so switching language needs no further download;
+// a catalog that fails to load leaves its strings in English
+async function loadTranslations(){
+	const base = new URL('/', location.origin).toString();
+	const catalogs = await Promise.all(LOCALES.map(lang => loadCatalog(lang, base).catch(err => {
+		console.warn(err);
+		return {};
+	})));
+	LOCALES.forEach((lang, i) => { translations[lang] = catalogs[i]; });
+}
+
+// public holidays for "open now"; without them holiday-dependent statuses show as unknown
+async function loadHolidays(){
+	try {
+		const res = await fetch(new URL('/data/holidays.json', location.origin).toString());
+		if (!res.ok) throw new Error('Failed to load holidays.json: ' + res.status);
+		setPublicHolidays(await res.json());
+	} catch (err) {
+		console.warn(err);
+	}
+}
+
+async function loadGazetteer(){
+	try {
+		const res = await fetch(new URL('/data/gazetteer.json', location.origin).toString());
+		if (!res.ok) throw new Error('Failed to load gazetteer.json: ' + res.status);
+		gazetteer = await res.json();
+		populateNearMeOptions();
+	} catch (err) {
+		// typed-in places just won't resolve; device location still works
+		console.warn(err);
+	}
+}
+
+// set (or clear, with null) the point distances are measured from
+function setSearchOrigin(origin){
+	useSearchOrigin(origin);
+	if (!origin) {
+		radiusSelect.value = '';
+		if (sortSelect.value === 'distance') sortSelect.value = '';
+	} else if (!sortSelect.value) {
+		sortSelect.value = 'distance';
+	}
+	applyFilters();
+}
 
-	// cities (localized)
-	[...cities.keys()].sort().forEach(c => {
-		const opt = document.createElement('option'); opt.value = c; opt.textContent = c || '—'; citySelect.appendChild(opt);
+// the origin plus the controls that depend on it, without re-filtering
+function useSearchOrigin(origin){
+	searchOrigin = origin;
+	radiusSelect.disabled = !origin;
+	sortSelect.querySelector('option[value="distance"]').disabled = !origin;
+	updateLocationStatus();
+}
+
+function updateLocationStatus(message){
+	if (!message && searchOrigin) {
+		message = searchOrigin.place ? t('usingPlace', placeLabel(searchOrigin.place, langSelect.value || 'en')) : t('usingMyLocation');
+	}
+	locationStatus.textContent = message || '';
+	locationStatus.hidden = !message;
+}
+
+// switch between the plain list and map + list
+function setViewMode(mode){
+	if (mode === 'map' && !mapViewAvailable()) {
+		mapNote.textContent = t('mapUnavailable');
+		mapNote.hidden = false;
+		return;
+	}
+	viewMode = mode;
+	Array.from(viewToggle.querySelectorAll('[data-view]')).forEach(btn => btn.classList.toggle('active', btn.dataset.view === mode));
+	mapViewEl.hidden = mode !== 'map';
+	boundsFilterWrap.hidden = mode !== 'map';
+	mapNote.hidden = true;
+	if (mode === 'map') {
+		initMapView(() => { if (boundsFilter.checked) renderVisibleDoctors(); });
+		refreshMapSize();
+		plotFilteredDoctors(true);
+	}
+	renderVisibleDoctors();
+}
+
+function plotFilteredDoctors(fit){
+	const skipped = showDoctorsOnMap(lastFiltered, d => mapPopupHtml(d, lastResults.get(d)), highlightCard, fit);
+	mapNote.textContent = skipped ? t('notOnMap', skipped) : '';
+	mapNote.hidden = !skipped;
+}
+
+// the list shows the filtered doctors, or only those on screen when the bounds switch is on
+function renderVisibleDoctors(){
+	const inBounds = viewMode === 'map' && boundsFilter.checked;
+	const list = inBounds ? lastFiltered.filter(d => mapBoundsContain(d.lat, d.lng)) : lastFiltered;
+	renderDoctors(groupByClinicSwitch.checked ? groupDoctorsByClinic(list, clinicIndex.byDoctor) : list);
+}
+
+function mapPopupHtml(d, result){
+	const lang = langSelect.value || 'en';
+	const distance = result && typeof result.distance === 'number' ? `<br><small>${t('distanceAway', formatDistance(result.distance))}</small>` : '';
+	return `<strong>${escapeHtml(tData(d, 'name', lang))}</strong><br><small class="text-muted">${escapeHtml(tData(d, 'specialty', lang))}</small><br><small>${escapeHtml(tData(d, 'address', lang))}</small>${distance}`;
+}
+
+// marker click: scroll the matching card (or the clinic card listing the doctor) into view and highlight it
+function highlightCard(d){
+	// render down to the doctor's card if it's further down than the current page
+	const idx = renderedList.findIndex(x => x === d || (x.clinic && x.doctors.includes(d)));
+	if (idx >= renderLimit) {
+		renderLimit = Math.ceil((idx + 1) / RESULTS_PAGE_SIZE) * RESULTS_PAGE_SIZE;
+		renderDoctors(renderedList, true);
+	}
+	const item = renderedList[idx];
+	const cardId = item && item.clinic ? item.clinic.id : String(d.id);
+	const cols = Array.from(resultsEl.children);
+	cols.forEach(col => col.classList.remove('card-highlight'));
+	const col = cols.find(el => (el.dataset.clinicId || el.dataset.docId) === cardId);
+	if (!col) return;
+	col.classList.add('card-highlight');
+	if (col.scrollIntoView) col.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// language asked for by the URL: ?lang=zh-cn first, then the first path segment (/zh-cn/)
+function urlLanguage(fallback){
+	try{
+		const q = new URLSearchParams(location.search).get('lang');
+		const pathSeg = location.pathname.split('/').filter(Boolean)[0] || '';
+		return localeFromCode(q || pathSeg) || fallback;
+	} catch(e){
+		return fallback;
+	}
+}
+
+// set a select, falling back to its first option when the value isn't one of them
+function setSelectValue(select, value){
+	select.value = value || '';
+	if (select.selectedIndex < 0) select.value = '';
+}
+
+// a specialty / place label from a link, in whichever language it was written,
+// as it reads in the current language ("Sha Tin" in an English link -> 沙田)
+function localizeLabel(field, value){
+	if (!value) return '';
+	const key = DOCTOR_FIELD_MAPS[field];
+	const wanted = value.toLowerCase();
+	const match = doctors.find(d => Object.values(d[key] || {}).some(x => (x || '').toString().toLowerCase() === wanted));
+	return match ? tData(match, field, langSelect.value || 'en') : value;
+}
+
+// everything that decides the result list, in the shape urlstate.js writes to the query string
+function readFilterState(){
+	const openAt = openSelect.value === 'at';
+	return {
+		lang: (langSelect.value || 'en').toLowerCase(),
+		q: searchInput.value.trim(),
+		specialty: specialtySelect.value,
+		qualification: qualificationSelect.value,
+		// null: still on the default city, so the link doesn't need to say
+		city: citySelect.value === defaultCityOption() ? null : citySelect.value,
+		state: stateSelect.value,
+		district: districtSelect.value,
+		area: areaSelect.value,
+		open: openSelect.value,
+		day: openAt ? openDaySelect.value : '',
+		time: openAt ? openTimeInput.value : '',
+		copay: copaySelect.value,
+		place: searchOrigin && searchOrigin.place ? searchOrigin.place.id : '',
+		radius: radiusSelect.value,
+		sort: sortSelect.value,
+		view: viewMode === 'map' ? 'map' : '',
+		group: groupByClinicSwitch.checked ? 'clinic' : ''
+	};
+}
+
+// Put a parsed link back into the controls (the caller re-filters).
+// deviceOrigin is the "use my location" point kept in the history entry, never in the link.
+function applyUrlState(state, deviceOrigin){
+	const lang = langSelect.value || 'en';
+	searchInput.value = state.q;
+	const selection = {
+		specialty: localizeLabel('specialty', state.specialty),
+		qualification: state.qualification,
+		city: state.city === null ? defaultCityOption() : localizeLabel('city', state.city),
+		state: localizeLabel('state', state.state),
+		district: localizeLabel('district', state.district),
+		area: localizeLabel('area', state.area)
+	};
+	// a link naming only a district still gets its city and region
+	const deepest = DIRECTORY_LOCATION_LEVELS.slice().reverse().find(f => selection[f]);
+	if (deepest) Object.assign(selection, directory.parentsOf(deepest, selection[deepest], lang));
+	setSelectValue(openSelect, state.open);
+	openAtRow.hidden = openSelect.value !== 'at';
+	openDaySelect.value = state.day;
+	openTimeInput.value = state.time;
+	fillOpenAtDefaults();
+	setSelectValue(copaySelect, state.copay);
+	populateFilters(selection);
+	const place = state.place ? gazetteer.find(p => p.id === state.place) : null;
+	const origin = place ? { lat: place.lat, lng: place.lng, place } : (deviceOrigin ? { lat: deviceOrigin.lat, lng: deviceOrigin.lng, place: null } : null);
+	placeInput.value = place ? placeLabel(place, lang) : '';
+	useSearchOrigin(origin);
+	setSelectValue(radiusSelect, origin ? state.radius : '');
+	setSelectValue(sortSelect, state.sort === 'distance' && !origin ? '' : state.sort);
+	const mode = state.view === 'map' ? 'map' : 'list';
+	if (mode !== viewMode) setViewMode(mode);
+	groupByClinicSwitch.checked = state.group === 'clinic';
+}
+
+// how the last history entry was written: a run of keystrokes shares one entry
+let lastUrlWrite = '';
+
+// Write the current filters to the URL. mode: 'push' (default) adds a history entry,
+// 'replace' overwrites the current one, 'typing' pushes once then replaces, 'none' leaves it.
+function updateUrlState(mode){
+	mode = mode || 'push';
+	const previous = lastUrlWrite;
+	lastUrlWrite = mode;
+	if (mode === 'none') return;
+	// keep pathname as-is (/zh-hk/ links keep working)
+	const url = new URL(location.href);
+	url.search = serializeFilterState(readFilterState(), location.search);
+	const entry = { origin: searchOrigin && !searchOrigin.place ? { lat: searchOrigin.lat, lng: searchOrigin.lng } : null };
+	const current = history.state || { origin: null };
+	if (url.search === location.search && JSON.stringify(entry) === JSON.stringify(current) && mode !== 'replace') return;
+	const replace = mode === 'replace' || (mode === 'typing' && previous === 'typing');
+	history[replace ? 'replaceState' : 'pushState'](entry, '', url.toString());
+}
+
+// Rebuild the select filters' options, each with its count under the other filters.
+// selection: the values to keep selected (default: the current ones)
+function populateFilters(selection) {
+	const chosen = selection || readSelection();
+	const lang = (langSelect && langSelect.value) || 'en';
+	const options = directory.facetOptions(filterCriteria(chosen), lang);
+	// qualifications, most common first across the network (so the list doesn't reshuffle while
+	// filtering); the values are language-independent codes
+	options.qualification.sort((a, b) => (b.total - a.total) || a.value.localeCompare(b.value));
+	Object.entries(filterSelects).forEach(([field, select]) => {
+		const allOpt = document.createElement('option'); allOpt.value = ''; allOpt.textContent = t(FILTER_ALL_LABELS[field]);
+		// options matching nothing under the other filters stay visible, disabled (the chosen one never is)
+		select.replaceChildren(allOpt, ...options[field].map(({ value, count }) => {
+			const opt = document.createElement('option'); opt.value = value; opt.textContent = `${field === 'qualification' && value === CM_FACET ? t('qualCMP') : value} (${count})`; opt.disabled = !count && value !== chosen[field];
+			return opt;
+		}));
+		setSelectValue(select, chosen[field]);
 	});
+}
+
+// the select filters' values by directory field
+function readSelection(){
+	const selection = {};
+	Object.entries(filterSelects).forEach(([field, select]) => { selection[field] = select.value; });
+	return selection;
+}
 
-	window.__citiesMap = cities;
+// the current filters as a directory query; selection overrides the select values
+function filterCriteria(selection){
+	return Object.assign({
+		text: searchInput.value,
+		open: openingCriterion(),
+		maxCopay: copaySelect.value,
+		origin: searchOrigin,
+		radius: radiusSelect.value,
+		sort: sortSelect.value
+	}, selection || readSelection());
+}
+
+// A location select changed: the levels below it start over, the levels above it are filled
+// in with the choice's own (picking 銅鑼灣 selects 灣仔區, 香港島 and 香港)
+function selectLocation(field){
+	const selection = readSelection();
+	DIRECTORY_LOCATION_LEVELS.slice(DIRECTORY_LOCATION_LEVELS.indexOf(field) + 1).forEach(f => { selection[f] = ''; });
+	if (selection[field]) Object.assign(selection, directory.parentsOf(field, selection[field], langSelect.value || 'en'));
+	populateFilters(selection);
+	applyFilters();
 }
 
-// Try to select a default city (prefer "Hong Kong" / "香港") when options exist
-function setDefaultCitySelection(){
-	if (!citySelect) return;
+// the city option selected by default (prefer "Hong Kong" / "香港"), or '' when there isn't one
+function defaultCityOption(){
 	const lang = (langSelect && langSelect.value) || 'en';
 	// preferred labels in order
 	const preferred = lang === 'en' ? ['Hong Kong','香港'] : ['香港','Hong Kong'];
@@ -262,256 +617,691 @@ function setDefaultCitySelection(){
 			const txt = (opt.textContent || '').toString();
 			return v === p || txt === p || v.toLowerCase() === p.toLowerCase() || txt.toLowerCase() === p.toLowerCase();
 		});
-		if (matchOpt){
-			citySelect.value = matchOpt.value;
-			// populate dependent selects
-			updateDistrictsForCity(matchOpt.value);
-			updateAreasForDistrict(matchOpt.value, '');
-			return;
-		}
+		if (matchOpt) return matchOpt.value;
 	}
-	// if not found, leave blank
-	citySelect.value = '';
+	return '';
 }
 
-function updateDistrictsForCity(city) {
-	districtSelect.innerHTML = `<option value="">${t('allDistricts')}</option>`;
-	areaSelect.innerHTML = `<option value="">${t('allAreas')}</option>`;
-	const districts = new Set();
-	const lang = (langSelect && langSelect.value) || 'en';
+// run fn once calls stop coming for ms
+function debounce(fn, ms){
+	let timer = null;
+	return (...args) => {
+		clearTimeout(timer);
+		timer = setTimeout(() => fn(...args), ms);
+	};
+}
 
-	// If we have a cities map built with localized labels, use it
-	if (window.__citiesMap && (city in Object.fromEntries(window.__citiesMap))) {
-		const districtMap = window.__citiesMap.get(city) || new Map();
-		[...districtMap.keys()].sort().forEach(x => {
-			const opt = document.createElement('option'); opt.value = x; opt.textContent = x; districtSelect.appendChild(opt);
-		});
-		return;
+// A number as a tel: link in +852 form (plain text for fax numbers: noDial). Numbers that don't
+// check out (phones.js) are shown as the export has them, marked, and without a link.
+function phoneHtml(value, noDial){
+	if (!value) return '';
+	const phone = parseHkPhone(value);
+	if (!phone.valid) return `<span class="phone-malformed">${escapeHtml(value)}</span> <span class="badge phone-malformed-badge" title="${escapeHtml(t('malformedPhoneHint'))}">${t('malformedPhone')}</span>`;
+	return noDial ? phone.display : `<a href="tel:${phone.e164}">${phone.display}</a>`;
+}
+
+// booking links from the export; only web links become buttons
+function safeLink(url){
+	return /^https?:\/\//i.test(url || '') ? url : '';
+}
+
+// open/closed badge plus when it closes or next opens, in Hong Kong time
+function openingStatusHtml(schedule, now){
+	if (!hasAnySessions(schedule)) {
+		return schedule && schedule.byAppointment ? `<span class="badge text-bg-light border">${t('byAppointment')}</span>` : '';
+	}
+	const open = isOpenAt(schedule, now.day, now.minutes, now.holiday, now.holidayBefore);
+	// a year data/holidays.json doesn't cover, on a day the clinic's holiday hours would decide it
+	if (open === null) return `<span class="badge text-bg-light border">${t('openUnknown')}</span>`;
+	if (open) {
+		const current = sessionsFor(schedule, now.day, now.holiday).find(x => now.minutes >= x.start && now.minutes < x.end);
+		return `<span class="badge text-bg-success">${t('openNow')}</span>` + (current ? ` <small class="text-muted">${t('closesAt', formatMinutes(current.end))}</small>` : '');
 	}
+	const next = nextOpening(schedule, now.day, now.minutes, now.holiday);
+	const when = next ? ` <small class="text-muted">${t('opensAt', next.offset === 0 ? t('today') : t('dayNames')[next.day], formatMinutes(next.minutes))}</small>` : '';
+	return `<span class="badge text-bg-secondary">${t('closedNow')}</span>${when}`;
+}
 
-	// fallback: build from doctors using localized labels
-	doctors.forEach(d => {
-		const c = tData(d, 'city', lang) || d.city || '';
-		const districtLabel = tData(d, 'district', lang) || d.district || '';
-		if (city === '' || c === city) {
-			if (districtLabel) districts.add(districtLabel);
-		}
-	});
-	[...districts].sort().forEach(x => {
-		const opt = document.createElement('option'); opt.value = x; opt.textContent = x; districtSelect.appendChild(opt);
-	});
+// "自付費 HK$15 · 包 2 日基本藥物"; the raw remark when it couldn't be read
+function priceSummaryText(pricing, remark){
+	if (!pricing || pricing.copay === null) return remark || '';
+	const parts = [pricing.copay === 0 ? t('copayFree') : t('copayAmount', formatHkd(pricing.copay))];
+	if (pricing.medicineDays) parts.push(t('medicineDays', pricing.medicineDays));
+	pricing.surcharges.forEach(x => parts.push(t('surcharge', formatHkd(x.amount), x.condition)));
+	pricing.exclusions.forEach(x => parts.push(t('excluded', x)));
+	return parts.join(' · ');
 }
 
-function updateAreasForDistrict(city, district) {
-	areaSelect.innerHTML = `<option value="">${t('allAreas')}</option>`;
-	const areas = new Set();
-	const lang = (langSelect && langSelect.value) || 'en';
+function priceSummaryHtml(pricing, remark){
+	if (!pricing || pricing.copay === null) return escapeHtml(remark || '') || '—';
+	return `<span class="price-summary" title="${escapeHtml(remark || pricing.raw)}">${escapeHtml(priceSummaryText(pricing, remark))}</span>`;
+}
+
+// the doctor's canonical record in lang, or the closest language it has
+function recordInLang(d, lang){
+	const records = d.records || {};
+	const found = [lang, 'zh-HK', 'zh-CN', 'en'].find(l => records[l]);
+	return found ? records[found] : Object.values(records)[0];
+}
+
+// one doctor as a phone contact, in lang
+// "+852 2577 5906" where the number checks out, as exported otherwise
+function vcardPhone(value){
+	return parseHkPhone(value).display || value || '';
+}
+
+function doctorContact(d, lang){
+	const rec = recordInLang(d, lang) || {};
+	return {
+		uid: `mixcare-doctor-${d.baseId}`,
+		name: tData(d, 'name', lang),
+		title: tData(d, 'specialty', lang),
+		org: 'MixCare',
+		phones: [rec.phone || tData(d, 'phone', lang), rec.phone2 || tData(d, 'phone2', lang)].map(vcardPhone),
+		fax: vcardPhone(rec.fax || tData(d, 'fax', lang)),
+		address: tData(d, 'address', lang) || d.address,
+		lat: d.lat,
+		lng: d.lng,
+		note: [tData(d, 'opening', lang), priceSummaryText(d.pricing, tData(d, 'remark', lang))].filter(Boolean).join('\n'),
+		url: safeLink(d.cta_link)
+	};
+}
+
+// today in Hong Kong as YYYY-MM-DD, for file names
+function exportDateStamp(){
+	return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Hong_Kong' });
+}
+
+function downloadFile(filename, type, text){
+	const url = URL.createObjectURL(new Blob([text], { type }));
+	const a = document.createElement('a'); a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// the current result list (as filtered, before the map-bounds switch) as a spreadsheet
+function exportCsv(){
+	const lang = langSelect.value || 'en';
+	downloadFile(`mixcare-doctors-${exportDateStamp()}.csv`, 'text/csv;charset=utf-8', toCsv(lastFiltered.map(d => recordInLang(d, lang)).filter(Boolean)));
+}
+
+// one doctor, or the whole current result list, as a .vcf for phone contacts
+function exportVCards(list, filename, lang){
+	lang = lang || langSelect.value || 'en';
+	downloadFile(filename || `mixcare-doctors-${exportDateStamp()}.vcf`, 'text/vcard;charset=utf-8', toVCards(list.map(d => doctorContact(d, lang))));
+}
+
+// Fill the print-only layout: doctors grouped by state -> district -> area in compact tables.
+function buildPrintView(list){
+	const lang = langSelect.value || 'en';
+	const date = new Date().toLocaleDateString(lang === 'en' ? 'en-HK' : lang, { timeZone: 'Asia/Hong_Kong', year: 'numeric', month: 'long', day: 'numeric' });
+	const groups = groupNested(list, [d => tData(d, 'state', lang), d => tData(d, 'district', lang), d => tData(d, 'area', lang)]);
+	const cols = t('printColumns');
+	const rowHtml = d => `<tr>
+		<td>${escapeHtml(tData(d, 'name', lang))}</td>
+		<td>${escapeHtml(tData(d, 'specialty', lang))}</td>
+		<td>${escapeHtml(tData(d, 'address', lang) || d.address)}</td>
+		<td class="text-nowrap">${escapeHtml(tData(d, 'phone', lang))}</td>
+		<td>${escapeHtml(tData(d, 'opening', lang))}</td>
+		<td>${escapeHtml(priceSummaryText(d.pricing, tData(d, 'remark', lang)))}</td>
+	</tr>`;
+	printView.innerHTML = `<h1 class="h4">${t('printTitle')}</h1>
+		<p class="small">${escapeHtml(t('generatedOn', date, list.length))}</p>
+		${groups.map(state => `<section class="print-state">
+			<h2 class="h5">${escapeHtml(state.label || '—')}</h2>
+			${state.groups.map(district => `<h3 class="h6">${escapeHtml(district.label || '—')}</h3>
+				<table class="table table-sm table-bordered print-table">
+					<thead><tr>${cols.map(c => `<th scope="col">${c}</th>`).join('')}</tr></thead>
+					<tbody>${district.groups.map(area => `<tr class="print-area"><th colspan="${cols.length}">${escapeHtml(area.label || '—')}</th></tr>${area.items.map(rowHtml).join('')}`).join('')}</tbody>
+				</table>`).join('')}
+		</section>`).join('')}`;
+}
+
+// one badge per qualification; the tooltip spells out the award and institution
+function qualificationBadgesHtml(qualifications, hits){
+	let offset = 0;
+	return (qualifications || []).map(q => {
+		const start = offset;
+		offset += q.label.length + QUALIFICATION_SEPARATOR.length;
+		const ranges = hits.filter(x => x.end > start && x.start < start + q.label.length).map(x => ({ start: x.start - start, end: x.end - start }));
+		const tip = [QUALIFICATIONS[q.code], q.institution && q.institution.name, q.year].filter(Boolean).join(', ');
+		return `<span class="badge qual-badge" title="${escapeHtml(tip)}">${highlightHtml(q.label, ranges)}</span>`;
+	}).join(' ');
+}
+
+// build one reusable card: the elements are created once and refilled by fillCardSlot
+function createCardSlot(){
+	const slot = { doc: null, cardLang: '', langs: '' };
+	const col = document.createElement('div'); col.className = 'col-md-12';
+	const card = document.createElement('div'); card.className = 'card h-100';
+	const body = document.createElement('div'); body.className = 'card-body d-flex flex-column';
+
+	// header row: name + per-card language select (shown when the doctor has several languages)
+	const headerRow = document.createElement('div'); headerRow.className = 'd-flex align-items-start justify-content-between mb-2';
+	const h = document.createElement('h5'); h.className = 'card-title mb-0'; headerRow.appendChild(h);
+	const headerTools = document.createElement('div'); headerTools.className = 'd-flex gap-2 ms-2'; headerRow.appendChild(headerTools);
+	const saveBtn = document.createElement('button'); saveBtn.type = 'button'; saveBtn.className = 'btn btn-sm btn-outline-warning save-toggle text-nowrap'; headerTools.appendChild(saveBtn);
+	saveBtn.addEventListener('click', () => toggleShortlist(slot.doc));
+	const langSel = document.createElement('select'); langSel.className = 'form-select form-select-sm'; langSel.style.width = 'auto'; headerTools.appendChild(langSel);
+	// when user changes per-card language, update fields inside this card
+	langSel.addEventListener('change', (e) => {
+		slot.cardLang = e.target.value;
+		renderCardFields(slot);
+	});
+	body.appendChild(headerRow);
+
+	// shown when this doctor has no row in the selected UI language
+	const notice = document.createElement('div'); notice.className = 'translation-fallback small mb-2'; body.appendChild(notice);
+	const badges = document.createElement('div'); badges.className = 'qual-badges mb-2'; body.appendChild(badges);
+	const meta = document.createElement('div'); meta.className = 'meta mb-2'; body.appendChild(meta);
+	const statusLine = document.createElement('div'); statusLine.className = 'opening-status mb-2'; body.appendChild(statusLine);
+	const loc = document.createElement('div'); loc.className = 'text-muted mb-2'; body.appendChild(loc);
+	const distanceLine = document.createElement('div'); distanceLine.className = 'distance mb-2'; body.appendChild(distanceLine);
+	const addressLine = document.createElement('div'); addressLine.className = 'mb-2 text-break'; body.appendChild(addressLine);
+	const phoneLine = document.createElement('div'); body.appendChild(phoneLine);
+	const openLine = document.createElement('div'); openLine.className = 'mb-3'; body.appendChild(openLine);
+	const remarkLine = document.createElement('div'); remarkLine.className = 'mb-3'; body.appendChild(remarkLine);
+	const verifiedLine = document.createElement('div'); verifiedLine.className = 'verified small text-muted mb-2'; body.appendChild(verifiedLine);
+	const actions = document.createElement('div'); actions.className = 'mt-auto d-flex gap-2 justify-content-end'; body.appendChild(actions);
+
+	card.appendChild(body);
+	col.appendChild(card);
+	return Object.assign(slot, { col, h, saveBtn, langSel, notice, badges, meta, statusLine, loc, distanceLine, addressLine, phoneLine, openLine, remarkLine, verifiedLine, actions });
+}
 
-	// try using cities map first
-	if (window.__citiesMap && (city in Object.fromEntries(window.__citiesMap))) {
-		const districtMap = window.__citiesMap.get(city) || new Map();
-		const areaSet = districtMap.get(district) || new Set();
-		[...areaSet].sort().forEach(x => {
-			const opt = document.createElement('option'); opt.value = x; opt.textContent = x; areaSelect.appendChild(opt);
+// Point a card at doctor d; result ({ hits, distance }) marks the search hits and gives the distance.
+// Skipped when it already shows d in the same state, so paging further down or a re-sort doesn't
+// rewrite cards that haven't changed.
+function fillCardSlot(slot, d, now, result){
+	const globalLang = (langSelect && langSelect.value) || 'en';
+	const hits = (result && result.hits) || null;
+	const distance = result ? result.distance : null;
+	const unchanged = slot.doc === d && slot.globalLang === globalLang && slot.hits === hits &&
+		slot.distance === distance && slot.minutes === now.minutes && slot.day === now.day;
+	updateSaveButton(slot.saveBtn, d);
+	if (unchanged) return;
+	const availableLangs = Object.keys(d.names || {});
+	const missingGlobal = availableLangs.length > 0 && !availableLangs.includes(globalLang);
+	// a new doctor (or UI language) resets the per-card language choice
+	if (slot.doc !== d || slot.globalLang !== globalLang) {
+		slot.cardLang = missingGlobal ? (availableLangs.includes('zh-HK') ? 'zh-HK' : availableLangs[0]) : globalLang;
+	}
+	Object.assign(slot, { doc: d, globalLang, missingGlobal, now, hits, distance, minutes: now.minutes, day: now.day });
+	slot.col.dataset.docId = d.id;
+	slot.col.classList.remove('card-highlight');
+	if (slot.langs !== availableLangs.join('|')) {
+		slot.langs = availableLangs.join('|');
+		slot.langSel.innerHTML = '';
+		availableLangs.forEach(lc => {
+			const opt = document.createElement('option'); opt.value = lc; opt.textContent = langLabel(lc); slot.langSel.appendChild(opt);
 		});
-		return;
 	}
+	slot.langSel.hidden = availableLangs.length < 2;
+	slot.langSel.value = slot.cardLang;
+	renderCardFields(slot);
+}
 
-	doctors.forEach(d => {
-		const c = tData(d, 'city', lang) || d.city || '';
-		const districtLabel = tData(d, 'district', lang) || d.district || '';
-		const areaLabel = tData(d, 'area', lang) || d.area || '';
-		if ((city === '' || c === city) && (district === '' || districtLabel === district)) {
-			if (areaLabel) areas.add(areaLabel);
-		}
-	});
-	[...areas].sort().forEach(x => {
-		const opt = document.createElement('option'); opt.value = x; opt.textContent = x; areaSelect.appendChild(opt);
-	});
+// "2023-04-14" -> "14 Apr 2023" / "2023年4月14日" in the UI language
+function formatVerifiedDate(isoDate){
+	return new Date(isoDate + 'T00:00:00Z').toLocaleDateString(langSelect.value || 'en', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
 }
 
-function formatPhoneForTel(phone){
-	if(!phone) return '';
-	return phone.replace(/[^+0-9]/g,'');
+function verifiedHtml(isoDate){
+	const text = isoDate ? t('verifiedOn', formatVerifiedDate(isoDate)) : t('notVerified');
+	const asOf = directory.report.staleAsOf;
+	if (!isStale(isoDate, asOf, staleAfterDays)) return escapeHtml(text);
+	return `${escapeHtml(text)} <span class="badge stale-badge" title="${escapeHtml(t('staleHint', staleAfterDays, asOf ? formatVerifiedDate(asOf) : ''))}">${t('staleBadge')}</span>`;
 }
 
-function renderDoctors(list) {
-	resultsEl.innerHTML = '';
-	if (!list.length) {
-		const noEl = document.createElement('div'); noEl.className = 'col-12'; noEl.innerHTML = `<div class="card"><div class="card-body meta">${t('noDoctors')}</div></div>`;
-		resultsEl.appendChild(noEl);
-		resultCountEl.textContent = t('doctorsCount', 0);
-		return;
+// text & actions for the card's doctor in the card's chosen language
+function renderCardFields(slot){
+	const d = slot.doc;
+	const cardLang = slot.cardLang;
+	// mark values that came from another language than the card's own
+	const mark = (r) => (r.value && r.lang !== cardLang) ? ` <span class="badge fallback-badge" title="${t('fieldFallback', langLabel(r.lang))}">${langLabel(r.lang)}</span>` : '';
+	// search matches for this field in the language actually shown; derived zh-CN text lines up
+	// character for character with its zh-HK source (chinese.js), so hits there mark it too
+	const derived = d.derivedLanguages || [];
+	const hitLang = (x, lang) => x.lang === lang || (lang === 'zh-CN' && derived.includes(lang) && x.lang === 'zh-HK');
+	const hl = (field, r) => highlightHtml(r.value, (slot.hits || []).filter(x => x.field === field && hitLang(x, r.lang)));
+	const nameR = tDataWithLang(d, 'name', cardLang);
+	const specR = tDataWithLang(d, 'specialty', cardLang);
+	const cityR = tDataWithLang(d, 'city', cardLang);
+	const districtR = tDataWithLang(d, 'district', cardLang);
+	const areaR = tDataWithLang(d, 'area', cardLang);
+	const addressR = tDataWithLang(d, 'address', cardLang);
+	const addressText = addressR.value || d.address || '';
+	const phoneLabel = tData(d, 'phone', cardLang) || Object.values(d.phones || {})[0] || '';
+	const phone2Label = tData(d, 'phone2', cardLang);
+	const faxLabel = tData(d, 'fax', cardLang);
+	// the call / WhatsApp buttons use the first number that checks out
+	const callable = [phoneLabel, phone2Label].map(parseHkPhone).find(p => p.valid);
+	const whatsapp = [phoneLabel, phone2Label].map(whatsappLink).find(Boolean);
+	const bookingLink = safeLink(d.cta_link);
+	const openingR = tDataWithLang(d, 'opening', cardLang);
+	const remarkR = tDataWithLang(d, 'remark', cardLang);
+
+	// update DOM
+	if (slot.missingGlobal) {
+		slot.notice.textContent = t('notTranslated', langLabel(cardLang));
+		slot.notice.hidden = false;
+	} else {
+		slot.notice.textContent = '';
+		slot.notice.hidden = true;
 	}
-	resultCountEl.textContent = t('doctorsCount', list.length);
-
-	// Render one card per doctor. Each card gets a small per-card language selector when multiple languages exist.
-	list.forEach(d => {
-		const availableLangs = Object.keys(d.names || {});
-		// pick initial language: prefer global UI lang if present
-		const globalLang = (langSelect && langSelect.value) || 'en';
-		let cardLang = availableLangs.includes(globalLang) ? globalLang : (availableLangs[0] || globalLang);
-		const col = document.createElement('div'); col.className = 'col-md-12';
-		const card = document.createElement('div'); card.className = 'card h-100';
-		const body = document.createElement('div'); body.className = 'card-body d-flex flex-column';
-
-		// header row: name + per-card language select
-		const headerRow = document.createElement('div'); headerRow.className = 'd-flex align-items-start justify-content-between mb-2';
-		const h = document.createElement('h5'); h.className = 'card-title mb-0'; headerRow.appendChild(h);
-
-		if (availableLangs.length > 1) {
-			const langSel = document.createElement('select');
-			langSel.className = 'form-select form-select-sm ms-2';
-			langSel.style.width = 'auto';
-			availableLangs.forEach(lc => {
-				const opt = document.createElement('option'); opt.value = lc; opt.textContent = langLabel(lc); langSel.appendChild(opt);
-			});
-			langSel.value = cardLang;
-			headerRow.appendChild(langSel);
-			// when user changes per-card language, update fields inside this card
-			langSel.addEventListener('change', (e) => {
-				cardLang = e.target.value;
-				renderCardFields();
-			});
-		}
-		body.appendChild(headerRow);
-
-		const meta = document.createElement('div'); meta.className = 'meta mb-2'; body.appendChild(meta);
-		const loc = document.createElement('div'); loc.className = 'text-muted mb-2'; body.appendChild(loc);
-		const addressLine = document.createElement('div'); addressLine.className = 'mb-2 text-break'; body.appendChild(addressLine);
-		const phoneLine = document.createElement('div'); body.appendChild(phoneLine);
-		const openLine = document.createElement('div'); openLine.className = 'mb-3'; body.appendChild(openLine);
-		const remarkLine = document.createElement('div'); remarkLine.className = 'mb-3'; body.appendChild(remarkLine);
-		const actions = document.createElement('div'); actions.className = 'mt-auto d-flex gap-2 justify-content-end'; body.appendChild(actions);
-
-		card.appendChild(body);
-		col.appendChild(card);
-		resultsEl.appendChild(col);
-
-		// function that renders text & actions for the chosen language for this card
-		function renderCardFields(){
-			const name = tData(d, 'name', cardLang) || tData(d, 'name', 'en') || Object.values(d.names || {})[0] || 'Unknown';
-			const spec = tData(d, 'specialty', cardLang) || '—';
-			const cityLabel = tData(d, 'city', cardLang) || '';
-			const districtLabel = tData(d, 'district', cardLang) || '';
-			const areaLabel = tData(d, 'area', cardLang) || '';
-			const addressText = tData(d, 'address', cardLang) || d.address || '';
-			const phoneLabel = tData(d, 'phone', cardLang) || Object.values(d.phones || {})[0] || '';
-			const openingLabel = tData(d, 'opening', cardLang) || Object.values(d.openings || {})[0] || '';
-			const remarkText = tData(d, 'remark', cardLang) || Object.values(d.remarks || {})[0] || '';
-
-			// update DOM
-			h.textContent = name;
-			meta.textContent = spec;
-			loc.textContent = `${cityLabel || ''} • ${districtLabel || ''} • ${areaLabel || ''}`;
-			if (addressText) addressLine.innerHTML = `<strong>${t('addressLabel')}: </strong><small class="text-muted">${addressText}</small>`;
-			else addressLine.innerHTML = `<strong>${t('addressLabel')}: </strong><small class="text-muted">—</small>`;
-			phoneLine.innerHTML = `<strong>${t('phoneLabel')}: </strong> ${phoneLabel ? `<a href="tel:${formatPhoneForTel(phoneLabel)}">${phoneLabel}</a>` : '—'}`;
-			openLine.innerHTML = `<strong>${t('openingLabel')}: </strong> ${openingLabel || '—'}`;
-			remarkLine.innerHTML = `<strong>${t('remarkLabel')}: </strong> ${remarkText || '—'}`;
-
-			// rebuild actions
-			actions.innerHTML = '';
-			if (phoneLabel) {
-				const callBtn = document.createElement('a'); callBtn.className = 'btn btn-primary btn-sm'; callBtn.href = `tel:${formatPhoneForTel(phoneLabel)}`; callBtn.textContent = t('callToBook'); actions.appendChild(callBtn);
-			} else {
-				const callBtn = document.createElement('button'); callBtn.className = 'btn btn-secondary btn-sm disabled'; callBtn.type = 'button'; callBtn.textContent = t('callToBook'); callBtn.setAttribute('aria-disabled','true'); actions.appendChild(callBtn);
-			}
+	slot.h.innerHTML = (nameR.value ? hl('name', nameR) : 'Unknown') + mark(nameR);
+	slot.badges.innerHTML = qualificationBadgesHtml(d.qualifications, (slot.hits || []).filter(x => x.field === 'qualifications'));
+	slot.badges.hidden = !slot.badges.innerHTML;
+	slot.meta.innerHTML = '';
+	slot.meta.textContent = specR.value || '—';
+	slot.meta.insertAdjacentHTML('beforeend', mark(specR));
+	slot.loc.innerHTML = `${escapeHtml(cityR.value)} • ${hl('district', districtR)} • ${hl('area', areaR)}`;
+	slot.loc.insertAdjacentHTML('beforeend', mark([cityR, districtR, areaR].find(r => r.value && r.lang !== cardLang) || {}));
+	if (addressText) slot.addressLine.innerHTML = `<strong>${t('addressLabel')}: </strong><small class="text-muted">${addressR.value ? hl('address', addressR) : escapeHtml(addressText)}</small>${mark(addressR)}`;
+	else slot.addressLine.innerHTML = `<strong>${t('addressLabel')}: </strong><small class="text-muted">—</small>`;
+	slot.phoneLine.innerHTML = `<strong>${t('phoneLabel')}: </strong> ${phoneHtml(phoneLabel) || '—'}` +
+		(phone2Label ? `<div><strong>${t('phone2Label')}: </strong> ${phoneHtml(phone2Label)}</div>` : '') +
+		(faxLabel ? `<div><strong>${t('faxLabel')}: </strong> ${phoneHtml(faxLabel, true)}</div>` : '');
+	slot.openLine.innerHTML = `<strong>${t('openingLabel')}: </strong> ${escapeHtml(openingR.value) || '—'}${mark(openingR)}`;
+	slot.remarkLine.innerHTML = `<strong>${t('priceLabel')}: </strong> ${priceSummaryHtml(d.pricing, remarkR.value)}`;
+	slot.statusLine.innerHTML = openingStatusHtml(d.schedule, slot.now);
+	slot.statusLine.hidden = !slot.statusLine.innerHTML;
+	slot.distanceLine.textContent = typeof slot.distance === 'number' ? t('distanceAway', formatDistance(slot.distance)) : '';
+	slot.distanceLine.hidden = !slot.distanceLine.textContent;
+	slot.verifiedLine.innerHTML = verifiedHtml(d.updatedOn);
+	slot.col.classList.toggle('stale', isStale(d.updatedOn, directory.report.staleAsOf, staleAfterDays));
 
-			// map button prefers localized address if available
-			let addressQuery = addressText || '';
-			if (!addressQuery) {
-				addressQuery = [d.address, areaLabel, districtLabel, cityLabel].filter(Boolean).join(' ').trim();
-			}
-			if (addressQuery) {
-				const mapBtn = document.createElement('a'); mapBtn.className = 'btn btn-outline-secondary btn-sm map-link'; mapBtn.target = '_blank'; mapBtn.rel='noopener'; mapBtn.href = `https://www.google.com/maps?&q=${encodeURIComponent(addressQuery)}&z=19`; mapBtn.textContent = t('map'); actions.appendChild(mapBtn);
-			} else if (d.lat && d.lng) {
-				const mapBtn = document.createElement('a'); mapBtn.className = 'btn btn-outline-secondary btn-sm map-link'; mapBtn.target = '_blank'; mapBtn.rel='noopener'; mapBtn.href = `https://www.google.com/maps/@${encodeURIComponent(d.lat)},${encodeURIComponent(d.lng)},19z`; mapBtn.textContent = t('map'); actions.appendChild(mapBtn);
-			}
-		}
+	// rebuild actions
+	const actions = slot.actions;
+	actions.innerHTML = '';
+	if (bookingLink) {
+		const bookBtn = document.createElement('a'); bookBtn.className = 'btn btn-success btn-sm'; bookBtn.target = '_blank'; bookBtn.rel = 'noopener'; bookBtn.href = bookingLink; bookBtn.textContent = tData(d, 'ctaText', cardLang) || t('bookOnline'); actions.appendChild(bookBtn);
+	}
+	if (whatsapp) {
+		const waBtn = document.createElement('a'); waBtn.className = 'btn btn-outline-success btn-sm'; waBtn.target = '_blank'; waBtn.rel = 'noopener'; waBtn.href = whatsapp; waBtn.textContent = t('whatsapp'); actions.appendChild(waBtn);
+	}
+	if (callable) {
+		const callBtn = document.createElement('a'); callBtn.className = 'btn btn-primary btn-sm'; callBtn.href = `tel:${callable.e164}`; callBtn.textContent = t('callToBook'); actions.appendChild(callBtn);
+	} else {
+		const callBtn = document.createElement('button'); callBtn.className = 'btn btn-secondary btn-sm disabled'; callBtn.type = 'button'; callBtn.textContent = t('callToBook'); callBtn.setAttribute('aria-disabled','true'); actions.appendChild(callBtn);
+	}
 
-		// initial render
-		renderCardFields();
-
-		// helper to display nice labels for language codes
-		function langLabel(code){
-			switch((code||'').toLowerCase()){
-				case 'en': return 'EN';
-				case 'zh-hk': return '中文 (繁)';
-				case 'zh-cn': return '中文 (简)';
-				case 'zh-hant': return '中文 (繁)';
-				case 'zh': return '中文';
-				default: return code;
-			}
-		}
+	// map button prefers localized address if available
+	let addressQuery = addressText || '';
+	if (!addressQuery) {
+		addressQuery = [d.address, areaR.value, districtR.value, cityR.value].filter(Boolean).join(' ').trim();
+	}
+	if (addressQuery) {
+		const mapBtn = document.createElement('a'); mapBtn.className = 'btn btn-outline-secondary btn-sm map-link'; mapBtn.target = '_blank'; mapBtn.rel='noopener'; mapBtn.href = `https://www.google.com/maps?&q=${encodeURIComponent(addressQuery)}&z=19`; mapBtn.textContent = t('map'); actions.appendChild(mapBtn);
+	} else if (d.lat && d.lng) {
+		const mapBtn = document.createElement('a'); mapBtn.className = 'btn btn-outline-secondary btn-sm map-link'; mapBtn.target = '_blank'; mapBtn.rel='noopener'; mapBtn.href = `https://www.google.com/maps/@${encodeURIComponent(d.lat)},${encodeURIComponent(d.lng)},19z`; mapBtn.textContent = t('map'); actions.appendChild(mapBtn);
+	}
+	const vcfBtn = document.createElement('button'); vcfBtn.type = 'button'; vcfBtn.className = 'btn btn-outline-secondary btn-sm'; vcfBtn.textContent = t('addToContacts'); actions.appendChild(vcfBtn);
+	vcfBtn.addEventListener('click', () => exportVCards([d], `${(nameR.value || 'doctor').replace(/[\\/:*?"<>|]+/g, ' ').trim()}.vcf`, cardLang));
+}
 
-	});
+function isShortlisted(d){
+	return shortlist.some(e => e.id === String(d.baseId));
 }
 
-function applyFilters() {
-	const q = (searchInput.value || '').trim().toLowerCase();
-	const specialty = specialtySelect.value;
-	const city = citySelect.value;
-	const district = districtSelect.value;
-	const area = areaSelect.value;
+function updateSaveButton(btn, d){
+	const saved = isShortlisted(d);
+	btn.textContent = saved ? t('savedDoctor') : t('saveDoctor');
+	btn.classList.toggle('active', saved);
+	btn.setAttribute('aria-pressed', String(saved));
+}
 
-	// Improved filtering: compare selected filter values against any available localized value for the doctor
-	const filtered = doctors.filter(d => {
-		// name search across all languages
-		const allNames = Object.values(d.names || {}).join(' ').toLowerCase();
-		if (q && !allNames.includes(q)) return false;
+function shortlistStorage(){
+	try {
+		return window.localStorage;
+	} catch (e) {
+		// storage disabled: the shortlist still works for this visit
+		return null;
+	}
+}
 
-		// Specialty: match against any language variant stored in d.specialties
-		if (specialty) {
-			const specs = Object.values(d.specialties || {}).map(s => (s||'').toString().toLowerCase());
-			if (!specs.some(s => s === specialty.toLowerCase())) return false;
-		}
+// read the saved doctors and compare them with the data that just loaded
+function loadShortlist(){
+	shortlist = readShortlist(shortlistStorage());
+	shortlistState = reconcileShortlist(shortlist, directory.ids);
+	renderShortlist();
+}
 
-		// City / District / Area: match against any localized variant
-		if (city) {
-			const cities = Object.values(d.cities || {}).map(x => (x||'').toString().toLowerCase());
-			if (!cities.some(c => c === city.toLowerCase())) return false;
-		}
-		if (district) {
-			const districts = Object.values(d.districts || {}).map(x => (x||'').toString().toLowerCase());
-			if (!districts.some(c => c === district.toLowerCase())) return false;
-		}
-		if (area) {
-			const areas = Object.values(d.areas || {}).map(x => (x||'').toString().toLowerCase());
-			if (!areas.some(c => c === area.toLowerCase())) return false;
-		}
+// write the shortlist and refresh everything that shows it
+function storeShortlist(){
+	const stored = writeShortlist(shortlistStorage(), shortlist);
+	shortlistState = reconcileShortlist(shortlist, directory.ids);
+	renderShortlist(stored ? '' : t('shortlistNotSaved'));
+	cardSlots.forEach(slot => { if (slot.doc) updateSaveButton(slot.saveBtn, slot.doc); });
+}
 
-		return true;
+function toggleShortlist(d){
+	const id = String(d.baseId);
+	if (isShortlisted(d)) shortlist = shortlist.filter(e => e.id !== id);
+	else shortlist.push(shortlistEntry(d, new Date().toISOString()));
+	storeShortlist();
+}
+
+// Drawer: one column per saved doctor with co-pay, hours, district and phone side by side.
+// Changed fields are flagged until acknowledged; doctors that left show what was saved.
+function renderShortlist(warning){
+	if (!shortlistBody) return;
+	const lang = langSelect.value || 'en';
+	const changed = shortlistState.filter(s => s.status === 'changed').length;
+	const removed = shortlistState.filter(s => s.status === 'removed').length;
+	shortlistCountEl.textContent = String(shortlist.length);
+	document.getElementById('shortlistNoticeText').textContent = [
+		changed ? t('shortlistChanged', changed) : '',
+		removed ? t('shortlistLeft', removed) : ''
+	].filter(Boolean).join(t('listSeparator')) + t('fullStop');
+	shortlistNotice.hidden = !changed && !removed;
+	const warningHtml = warning ? `<div class="alert alert-warning small">${escapeHtml(warning)}</div>` : '';
+	if (!shortlistState.length) {
+		shortlistBody.innerHTML = `${warningHtml}<p class="text-muted">${t('shortlistEmpty')}</p>`;
+		return;
+	}
+	const fieldNames = t('shortlistFields');
+	const heads = shortlistState.map(s => {
+		// doctors that left the network are shown from the saved snapshot
+		const source = s.doc || s.entry.snapshot;
+		const status = s.status === 'removed'
+			? `<div><span class="badge text-bg-secondary">${t('leftNetwork')}</span></div>`
+			: s.status === 'changed'
+				? `<div class="small text-warning-emphasis">${escapeHtml(t('detailsChanged', s.changed.map(f => fieldNames[f] || f).join(', ')))}
+					<button type="button" class="btn btn-link btn-sm p-0 ms-1" data-action="acknowledge" data-id="${escapeHtml(s.entry.id)}">${t('acknowledgeChange')}</button></div>`
+				: '';
+		return `<th scope="col" class="shortlist-doctor">${escapeHtml(tData(source, 'name', lang) || '—')}${status}</th>`;
+	}).join('');
+	const row = (label, field, cell) => `<tr><th scope="row">${label}</th>${shortlistState.map(s => {
+		const flagged = s.status === 'changed' && s.changed.includes(field);
+		return `<td class="${flagged ? 'table-warning' : ''}${s.status === 'removed' ? ' text-muted' : ''}">${cell(s.doc || s.entry.snapshot, s) || '—'}</td>`;
+	}).join('')}</tr>`;
+	const phone = (source) => {
+		const value = tData(source, 'phone', lang);
+		return phoneHtml(value);
+	};
+	shortlistBody.innerHTML = `${warningHtml}<div class="table-responsive"><table class="table table-sm align-top shortlist-table">
+		<thead><tr><th scope="col"></th>${heads}</tr></thead>
+		<tbody>
+			${row(t('compareCopay'), 'remark', (source, s) => priceSummaryHtml(s.doc ? s.doc.pricing : parseCopayRemark(tData(source, 'remark', lang)), tData(source, 'remark', lang)))}
+			${row(t('compareHours'), 'opening', source => escapeHtml(tData(source, 'opening', lang)))}
+			${row(t('compareDistrict'), 'district', source => escapeHtml(tData(source, 'district', lang)))}
+			${row(t('comparePhone'), 'phone', source => phone(source))}
+			<tr><th scope="row"></th>${shortlistState.map(s => `<td><button type="button" class="btn btn-sm btn-outline-danger" data-action="remove" data-id="${escapeHtml(s.entry.id)}">${t('removeSaved')}</button></td>`).join('')}</tr>
+		</tbody>
+	</table></div>`;
+}
+
+// "Mon–Fri 09:00-13:00, 14:30-19:00" lines for a clinic's combined schedule
+function clinicHoursHtml(schedule){
+	const names = t('dayNames');
+	const label = days => days.length > 2 ? `${names[days[0]]}–${names[days[days.length - 1]]}` : days.map(d => names[d]).join(', ');
+	const rows = weekHourRows(schedule).map(r => [label(r.days), r.sessions]);
+	if (schedule.holiday && schedule.holiday.length) rows.push([t('publicHoliday'), schedule.holiday]);
+	return rows.map(([days, sessions]) => `<div><span class="clinic-days">${escapeHtml(days)}</span> ${sessions.map(formatSession).join(', ')}</div>`).join('');
+}
+
+// One card for the doctors of a clinic that passed the filters: shared address, phones / fax,
+// specialties and combined hours, then a row per doctor that opens out to the doctor's full card.
+// entry: { clinic, doctors } from groupDoctorsByClinic; results: doctor -> { hits, distance }
+function clinicCard(entry, now, results){
+	const lang = langSelect.value || 'en';
+	const { clinic, doctors: members } = entry;
+	const first = members[0];
+	const listing = organisationListing(clinic.doctors);
+	const title = (listing && tData(listing, 'name', lang)) || t('groupPractice');
+	const specialties = [...new Set(members.map(d => tData(d, 'specialty', lang)).filter(Boolean))];
+	const distances = members.map(d => (results.get(d) || {}).distance).filter(x => typeof x === 'number');
+	const phones = clinic.phones.map(p => phoneHtml(p)).join(' / ');
+	const hours = clinicHoursHtml(clinic.schedule);
+
+	const col = document.createElement('div'); col.className = 'col-md-12'; col.dataset.clinicId = clinic.id;
+	col.innerHTML = `<div class="card h-100 clinic-card"><div class="card-body d-flex flex-column">
+		<div class="d-flex align-items-start justify-content-between mb-2">
+			<h5 class="card-title mb-0">${escapeHtml(title)}</h5>
+			<span class="badge text-bg-light border ms-2 text-nowrap">${t('clinicDoctors', clinic.doctors.length)}</span>
+		</div>
+		<div class="mb-2">${specialties.map(s => `<span class="badge clinic-specialty me-1">${escapeHtml(s)}</span>`).join('')}</div>
+		<div class="opening-status mb-2">${openingStatusHtml(clinic.schedule, now)}</div>
+		<div class="text-muted mb-2">${[tData(first, 'city', lang), tData(first, 'district', lang), tData(first, 'area', lang)].map(escapeHtml).join(' • ')}</div>
+		${distances.length ? `<div class="distance mb-2">${t('distanceAway', formatDistance(Math.min(...distances)))}</div>` : ''}
+		<div class="mb-2 text-break"><strong>${t('addressLabel')}: </strong><small class="text-muted">${escapeHtml(tData(first, 'address', lang) || first.address || '—')}</small></div>
+		<div><strong>${t('phoneLabel')}: </strong> ${phones || '—'}</div>
+		${clinic.faxes.length ? `<div><strong>${t('faxLabel')}: </strong> ${clinic.faxes.map(f => phoneHtml(f, true)).join(' / ')}</div>` : ''}
+		${hours ? `<div class="mt-2"><strong>${t('combinedHours')}: </strong><div class="clinic-hours small">${hours}</div></div>` : ''}
+		<ul class="list-group list-group-flush clinic-doctors mt-3"></ul>
+	</div></div>`;
+
+	const listEl = col.querySelector('.clinic-doctors');
+	members.forEach(d => {
+		const li = document.createElement('li'); li.className = 'list-group-item px-0';
+		const row = document.createElement('div'); row.className = 'd-flex align-items-center gap-2'; li.appendChild(row);
+		const nameR = tDataWithLang(d, 'name', lang);
+		const hits = ((results.get(d) || {}).hits || []).filter(x => x.field === 'name' && x.lang === nameR.lang);
+		row.insertAdjacentHTML('beforeend', `<div class="me-auto"><div class="fw-semibold">${highlightHtml(nameR.value, hits) || '—'}</div>
+			<small class="text-muted">${escapeHtml(tData(d, 'specialty', lang) || '')} · ${priceSummaryHtml(d.pricing, tData(d, 'remark', lang))}</small></div>`);
+		const toggle = document.createElement('button'); toggle.type = 'button'; toggle.className = 'btn btn-sm btn-outline-secondary text-nowrap'; row.appendChild(toggle);
+		const detail = document.createElement('div'); detail.className = 'clinic-doctor-detail mt-2'; li.appendChild(detail);
+		// the doctor's own card, made on first open
+		const show = (open) => {
+			toggle.textContent = open ? t('hideDoctor') : t('showDoctor');
+			toggle.setAttribute('aria-expanded', String(open));
+			detail.hidden = !open;
+			if (open && !detail.firstChild) {
+				const slot = createCardSlot();
+				fillCardSlot(slot, d, now, results.get(d));
+				detail.appendChild(slot.col);
+			}
+		};
+		toggle.addEventListener('click', () => {
+			const open = !expandedClinicDoctors.has(d.id);
+			if (open) expandedClinicDoctors.add(d.id);
+			else expandedClinicDoctors.delete(d.id);
+			show(open);
+		});
+		show(expandedClinicDoctors.has(d.id));
+		listEl.appendChild(li);
 	});
+	return col;
+}
+
+// Render the first renderLimit doctors of list into the reusable card slots.
+// keepLimit: same list, more of it (paging) rather than a new result set.
+function renderDoctors(list, keepLimit) {
+	const started = performance.now();
+	renderedList = list;
+	if (!keepLimit) renderLimit = RESULTS_PAGE_SIZE;
+	const grouped = list.some(x => x.clinic);
+	resultCountEl.textContent = grouped
+		? t('clinicsCount', list.length, list.reduce((n, x) => n + (x.clinic ? x.doctors.length : 1), 0))
+		: t('doctorsCount', list.length);
+	if (!list.length) {
+		resultsEl.replaceChildren(noResultsEl);
+		noResultsEl.querySelector('.card-body').textContent = t('noDoctors');
+		resultsMore.hidden = true;
+		reportTiming({ render: performance.now() - started, shown: 0, total: 0 });
+		return;
+	}
+	if (noResultsEl.parentNode) noResultsEl.remove();
+	const now = hongKongNow();
+	const shown = Math.min(list.length, renderLimit);
+	// slot i always shows list[i]; only slots whose doctor changed are rewritten.
+	// Clinic entries (group by clinic) get a clinic card, built fresh each time.
+	for (let i = 0; i < shown; i++) {
+		let col;
+		if (list[i].clinic) {
+			col = clinicCard(list[i], now, lastResults);
+		} else {
+			const slot = cardSlots[i] || (cardSlots[i] = createCardSlot());
+			fillCardSlot(slot, list[i], now, lastResults.get(list[i]));
+			col = slot.col;
+		}
+		if (resultsEl.children[i] !== col) resultsEl.insertBefore(col, resultsEl.children[i] || null);
+	}
+	while (resultsEl.children.length > shown) resultsEl.lastElementChild.remove();
+	resultsMore.hidden = shown >= list.length;
+	resultsMoreBtn.textContent = t('showMore', list.length - shown);
+	reportTiming({ render: performance.now() - started, shown, total: list.length });
+}
+
+// next page of cards (the "show more" button, or the end of the list scrolling into view)
+function renderMoreDoctors(){
+	if (renderLimit >= renderedList.length) return;
+	renderLimit += RESULTS_PAGE_SIZE;
+	renderDoctors(renderedList, true);
+}
+
+// filter / render times for the last update; shown under the count with ?perf or ?synthetic=N
+function reportTiming(timing){
+	Object.assign(renderTimings, timing);
+	window.__renderTimings = renderTimings;
+	if (!showTimings) return;
+	renderTimingEl.textContent = t('renderTiming', renderTimings.filter.toFixed(1), renderTimings.render.toFixed(1), renderTimings.shown, renderTimings.total);
+	renderTimingEl.hidden = false;
+}
 
-	renderDoctors(filtered);
+// historyMode: how the resulting URL is recorded (see updateUrlState)
+function applyFilters(historyMode) {
+	const started = performance.now();
+	// a doctor passes when every selected filter matches at least one of its language variants
+	const { results } = directory.query(filterCriteria());
+	// the cards highlight the search hits and show the distance from the results, looked up by doctor
+	lastResults = new Map(results.map(r => [r.doctor, r]));
+	lastFiltered = results.map(r => r.doctor);
+	// option counts under the new filters
+	populateFilters();
+	renderTimings.filter = performance.now() - started;
+	if (viewMode === 'map') plotFilteredDoctors(true);
+	renderVisibleDoctors();
+	updateUrlState(historyMode);
 }
 
 // Event listeners
-searchInput.addEventListener('input', () => applyFilters());
+searchInput.addEventListener('input', debounce(() => applyFilters('typing'), SEARCH_DEBOUNCE_MS));
 specialtySelect.addEventListener('change', () => applyFilters());
-citySelect.addEventListener('change', (e) => { updateDistrictsForCity(e.target.value); updateAreasForDistrict(e.target.value, ''); applyFilters(); });
-districtSelect.addEventListener('change', (e) => { updateAreasForDistrict(citySelect.value, e.target.value); applyFilters(); });
-areaSelect.addEventListener('change', () => applyFilters());
+qualificationSelect.addEventListener('change', () => applyFilters());
+DIRECTORY_LOCATION_LEVELS.forEach(field => filterSelects[field].addEventListener('change', () => selectLocation(field)));
+openSelect.addEventListener('change', () => {
+	openAtRow.hidden = openSelect.value !== 'at';
+	fillOpenAtDefaults();
+	applyFilters();
+});
+openDaySelect.addEventListener('change', () => applyFilters());
+copaySelect.addEventListener('change', () => applyFilters());
+openTimeInput.addEventListener('change', () => applyFilters());
+placeInput.addEventListener('change', () => {
+	const text = placeInput.value.trim();
+	if (!text) { setSearchOrigin(null); return; }
+	const place = findPlace(gazetteer, text);
+	if (!place) {
+		// distances from the last place would no longer match what the box says
+		setSearchOrigin(null);
+		updateLocationStatus(t('placeNotFound', text));
+		return;
+	}
+	placeInput.value = placeLabel(place, langSelect.value || 'en');
+	setSearchOrigin({ lat: place.lat, lng: place.lng, place });
+});
+nearMeBtn.addEventListener('click', async () => {
+	nearMeBtn.disabled = true;
+	updateLocationStatus(t('locating'));
+	try {
+		const pos = await getBrowserLocation();
+		placeInput.value = '';
+		setSearchOrigin({ lat: pos.lat, lng: pos.lng, place: null });
+	} catch (err) {
+		console.warn(err);
+		updateLocationStatus(t('locationFailed'));
+	} finally {
+		nearMeBtn.disabled = false;
+	}
+});
+radiusSelect.addEventListener('change', () => applyFilters());
+viewToggle.addEventListener('click', (e) => {
+	const btn = e.target.closest('[data-view]');
+	if (!btn) return;
+	setViewMode(btn.dataset.view);
+	updateUrlState();
+});
+boundsFilter.addEventListener('change', () => renderVisibleDoctors());
+groupByClinicSwitch.addEventListener('change', () => {
+	renderVisibleDoctors();
+	updateUrlState();
+});
+resultsMoreBtn.addEventListener('click', () => renderMoreDoctors());
+exportMenu.addEventListener('click', (e) => {
+	const item = e.target.closest('[data-export]');
+	if (!item) return;
+	if (item.dataset.export === 'csv') exportCsv();
+	if (item.dataset.export === 'vcf') exportVCards(lastFiltered);
+	if (item.dataset.export === 'print') window.print();
+});
+// Ctrl+P / the browser's print menu get the same grouped layout as the Print item
+window.addEventListener('beforeprint', () => buildPrintView(lastFiltered));
+shortlistBody.addEventListener('click', (e) => {
+	const btn = e.target.closest('[data-action]');
+	if (!btn) return;
+	const entry = shortlist.find(x => x.id === btn.dataset.id);
+	if (!entry) return;
+	if (btn.dataset.action === 'remove') shortlist = shortlist.filter(x => x !== entry);
+	// the member has seen the new details: they become the saved ones
+	if (btn.dataset.action === 'acknowledge' && directory.byId(entry.id)) entry.snapshot = shortlistSnapshot(directory.byId(entry.id));
+	storeShortlist();
+});
+// load the next page as the end of the list scrolls into view; the button covers older browsers
+if (typeof IntersectionObserver === 'function') {
+	new IntersectionObserver(entries => {
+		if (entries.some(e => e.isIntersecting)) renderMoreDoctors();
+	}, { rootMargin: '400px 0px' }).observe(resultsMore);
+}
+sortSelect.addEventListener('change', () => applyFilters());
 clearBtn.addEventListener('click', () => {
-	searchInput.value=''; specialtySelect.value=''; citySelect.value=''; districtSelect.value=''; areaSelect.value='';
-	updateDistrictsForCity(''); updateAreasForDistrict('',''); applyFilters();
+	searchInput.value=''; Object.values(filterSelects).forEach(select => { select.value=''; });
+	openSelect.value=''; openAtRow.hidden = true; copaySelect.value='';
+	placeInput.value=''; setSearchOrigin(null);
+	applyFilters();
 });
-langSelect.addEventListener('change', () => {
-	// when language changes, repopulate localized filter labels and reset selections
+// relabel the UI and rebuild the filter options in nextLang, keeping the current selections
+function switchLanguage(nextLang){
+	const prevLang = activeLang;
+	langSelect.value = nextLang;
+	// carry the current selections over to the new language's labels
+	// (qualifications are codes, the same in every language)
+	const kept = readSelection();
+	['specialty'].concat(DIRECTORY_LOCATION_LEVELS).forEach(field => { kept[field] = translateLabel(field, kept[field], prevLang, nextLang); });
+	activeLang = nextLang;
+	document.documentElement.lang = nextLang;
+	// when language changes, repopulate localized filter labels
 	applyTranslationsToUI();
-	// clear current options then repopulate
-	specialtySelect.innerHTML = '<option value="">' + t('allSpecialties') + '</option>';
-	citySelect.innerHTML = '<option value="">' + t('allCities') + '</option>';
-	districtSelect.innerHTML = '<option value="">' + t('allDistricts') + '</option>';
-	areaSelect.innerHTML = '<option value="">' + t('allAreas') + '</option>';
-	populateFilters();
-	updateDistrictsForCity('');
-	updateAreasForDistrict('','');
+	populateFilters(kept);
+}
+
+langSelect.addEventListener('change', () => {
+	switchLanguage(langSelect.value || 'en');
 	applyFilters();
-	// reflect language choice in the URL query param
-	updateUrlLang(langSelect.value);
 });
+// back / forward: restore the search that entry was made for
+window.addEventListener('popstate', (e) => {
+	if (!doctors.length) return;
+	const lang = urlLanguage(activeLang);
+	if (lang !== activeLang) switchLanguage(lang);
+	applyUrlState(parseFilterState(location.search), e.state && e.state.origin);
+	applyFilters('none');
+});
+
+dataStatusBtn.addEventListener('click', () => location.reload());
+window.addEventListener('online', renderDataStatus);
+window.addEventListener('offline', renderDataStatus);
+// offline support (sw.js); browsers only allow it over https or on localhost
+if ('serviceWorker' in navigator) {
+	window.addEventListener('load', () => {
+		navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Offline mode unavailable:', err));
+	});
+	navigator.serviceWorker.addEventListener('message', (e) => {
+		if (!e.data || e.data.type !== 'data-updated') return;
+		dataStatus.updateReady = true;
+		renderDataStatus();
+	});
+}
 
 // Initialize - load data from JSON then initialize UI
 loadDoctors();
@@ -0,0 +1,320 @@
+// Full-text search over the doctor list. The index is built once after the data loads
+// (buildSearchIndex) and every keystroke only walks the prepared fields (searchDoctors).
+//
+// Besides plain substring / word matching it understands romanized Cantonese: the call
+// centre takes names over the phone as "Cheng Chi Tung" (government spelling) or
+// "zeng zi dung" (Jyutping), so every Chinese character in a name is indexed with its
+// readings from data/jyutping.json and both spellings are folded to one key by romanKey.
+
+// how much a hit in each field counts towards the ranking
+const SEARCH_FIELD_WEIGHTS = { name: 10, qualifications: 6, area: 5, district: 4, address: 3 };
+
+// doctor object map -> indexed field
+const SEARCH_FIELDS = { names: 'name', addresses: 'address', areas: 'area', districts: 'district' };
+
+// separator between qualification labels in the indexed text (the card uses it to map hits to badges)
+const QUALIFICATION_SEPARATOR = ' | ';
+
+// full-width ASCII -> half-width, lowercase; keeps string positions 1:1 for highlighting
+function foldSearchText(text) {
+	return (text || '').toString()
+		.replace(/[！-～]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+		.replace(/　/g, ' ')
+		.toLowerCase();
+}
+
+// Fold a romanized syllable to a spelling-independent key, so the HK government
+// spelling and Jyutping land on the same string: Cheng/zeng -> ceng, Tsz/Chi/zi -> ci,
+// Cheung/zoeng -> ceung, Tsui/ceoi -> cui, Lee/lei -> li, Chow/zau -> cau, Yuen/jyun -> yun
+function romanKey(syllable) {
+	let s = (syllable || '').toString().toLowerCase().replace(/[^a-z]/g, '');
+	if (!s) return '';
+	// whole-syllable spellings of the zi/ci and si sounds
+	if (/^(tsz|tsze|tze|tzu|chi|chee|tsi|zi|ci)$/.test(s)) return 'ci';
+	if (/^(sze|sz|si|see)$/.test(s)) return 'si';
+	return s
+		// initials
+		.replace(/^(tsh|ts|tz|ch|z|c)/, 'c')
+		.replace(/^sh/, 's')
+		.replace(/^jy?/, 'y')
+		.replace(/^b/, 'p')
+		.replace(/^d/, 't')
+		.replace(/^gw/, 'kw')
+		.replace(/^g/, 'k')
+		// finals
+		.replace(/^([^aeiouy]+)yu/, '$1u')
+		.replace(/aa/g, 'a')
+		.replace(/oe|eo/g, 'eu')
+		.replace(/eui$/, 'ui').replace(/eun$/, 'un').replace(/eut$/, 'ut')
+		.replace(/uen$/, 'un').replace(/uet$/, 'ut').replace(/ue$/, 'u')
+		.replace(/ee/g, 'i').replace(/ei$/, 'i').replace(/ay$/, 'i')
+		.replace(/oo/g, 'u').replace(/ow$/, 'au').replace(/aw$/, 'o').replace(/ou$/, 'o').replace(/oy$/, 'oi')
+		.replace(/um$/, 'am');
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it exceeds max
+function boundedEditDistance(a, b, max) {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+	let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const cur = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			rowMin = Math.min(rowMin, cur[j]);
+		}
+		if (rowMin > max) return max + 1;
+		prev = cur;
+	}
+	return prev[b.length];
+}
+
+// "鄭至東 MBBS(HKU)" -> [{ text: '鄭至東', han: true }, { text: 'mbbs' }, { text: 'hku' }]
+function splitSearchTerms(query) {
+	const terms = [];
+	const re = /(\p{Script=Han}+)|([a-z0-9]+)/gu;
+	let m;
+	while ((m = re.exec(foldSearchText(query)))) terms.push({ text: m[0], han: !!m[1] });
+	return terms;
+}
+
+// one field of one doctor, ready for matching. charKeys caches each character's keys,
+// so every 陳 in the index shares one array (searchDoctors caches fuzzy matches by it).
+function indexField(field, lang, text, romanTable, charKeys) {
+	const folded = foldSearchText(text);
+	const words = [];
+	const re = /[a-z0-9]+/g;
+	let m;
+	while ((m = re.exec(folded))) words.push({ word: m[0], start: m.index, end: m.index + m[0].length });
+	const entry = { field, lang, text, folded, words, syllables: null };
+	if (field === 'name') {
+		entry.syllables = [];
+		for (let i = 0; i < text.length; i++) {
+			const readings = romanTable[text[i]];
+			if (!readings) continue;
+			if (!charKeys.has(text[i])) charKeys.set(text[i], readings.split(' ').map(romanKey));
+			entry.syllables.push({ pos: i, keys: charKeys.get(text[i]) });
+		}
+	}
+	return entry;
+}
+
+// Build the index for the doctor objects from mergeByDocId / normalizePerRow.
+// romanTable is the "chars" map of data/jyutping.json (character -> space-separated readings).
+function buildSearchIndex(doctors, romanTable) {
+	const table = romanTable || {};
+	const charKeys = new Map();
+	const entries = doctors.map(doc => {
+		const fields = [];
+		Object.entries(SEARCH_FIELDS).forEach(([key, field]) => {
+			Object.entries(doc[key] || {}).forEach(([lang, text]) => {
+				if (text) fields.push(indexField(field, lang, text, table, charKeys));
+			});
+		});
+		// credentials are the same in every language
+		const quals = (doc.qualifications || []).map(q => q.label);
+		if (quals.length) fields.push(indexField('qualifications', '', quals.join(QUALIFICATION_SEPARATOR), table, charKeys));
+		return { doc, fields };
+	});
+	return { entries, romanTable: table };
+}
+
+function fieldWeight(f) {
+	return SEARCH_FIELD_WEIGHTS[f.field] || 1;
+}
+
+// memo[id] -> Map(character keys -> quality), filled by check on first use
+function memoQuality(memo, id, keys, check) {
+	if (!memo.has(id)) memo.set(id, new Map());
+	const seen = memo.get(id);
+	if (!seen.has(keys)) seen.set(keys, check());
+	return seen.get(keys);
+}
+
+// how well one romanized key matches one syllable: 1 exact, 0.7 the start of it (prefix: the
+// syllable still being typed, "cheu" for Cheung), 0.6 one typo away (only for whole typed names,
+// where the run itself keeps it precise), 0 no match.
+// memo (per query) remembers the prefix and typo checks per key and character.
+function syllableQuality(key, syllable, fuzzy, memo, prefix) {
+	if (syllable.keys.includes(key)) return 1;
+	if (prefix && memoQuality(memo, '^' + key, syllable.keys, () => (syllable.keys.some(k => k.startsWith(key)) ? 0.7 : 0))) return 0.7;
+	if (!fuzzy || key.length < 3) return 0;
+	return memoQuality(memo, key, syllable.keys, () => (syllable.keys.some(k => boundedEditDistance(k, key, 1) <= 1) ? 0.6 : 0));
+}
+
+// Best run of consecutive syllables matching keys in order, or null.
+// Each key is a romanized key, or { char } for a character with no known reading.
+// allowMiss lets one position fail (a wrong character typed in a long name);
+// prefixLast lets the last key match the start of a syllable (see syllableQuality).
+// Runs starting at the surname get a small boost.
+function matchSyllableRun(syllables, keys, text, allowMiss, fuzzy, memo, prefixLast) {
+	let best = null;
+	for (let s = 0; s + keys.length <= syllables.length; s++) {
+		let total = 0;
+		let misses = 0;
+		for (let k = 0; k < keys.length && misses <= allowMiss; k++) {
+			const syl = syllables[s + k];
+			const key = keys[k];
+			const q = typeof key === 'string' ? syllableQuality(key, syl, fuzzy, memo, prefixLast && k === keys.length - 1) : (text[syl.pos] === key.char ? 1 : 0);
+			if (q) total += q; else misses++;
+		}
+		if (misses > allowMiss) continue;
+		const quality = total / keys.length * (syllables[s].pos === 0 ? 1.2 : 1);
+		if (!best || quality > best.quality) {
+			best = { quality, index: s, start: syllables[s].pos, end: syllables[s + keys.length - 1].pos + 1 };
+		}
+	}
+	return best;
+}
+
+// Work a query term needs once, not once per doctor: its romanized key, the keys of its
+// characters, and a cache of how well it matches each word it has been compared with.
+// prefix: the term is still being typed (the last one, with no space after it).
+function prepareTerm(term, romanTable, prefix) {
+	return Object.assign({}, term, {
+		prefix: !!prefix && !term.han,
+		key: term.han ? '' : romanKey(term.text),
+		// same-sounding characters, e.g. 鄭志東 for 鄭至東
+		charKeys: term.han ? [...term.text].map(c => romanTable[c] ? romanKey(romanTable[c].split(' ')[0]) : { char: c }) : null,
+		wordQuality: new Map()
+	});
+}
+
+// exact word 1, prefix 0.7, one or two typos 0.4 (long, digit-free terms only), else 0
+function wordQuality(word, term) {
+	if (word === term.text) return 1;
+	if (word.startsWith(term.text)) return 0.7;
+	const max = term.text.length >= 8 ? 2 : 1;
+	if (term.text.length >= 4 && !/\d/.test(term.text) && boundedEditDistance(word, term.text, max) <= max) return 0.4;
+	return 0;
+}
+
+// best single-term match in one doctor -> { score, hits } or null; term comes from prepareTerm
+function matchTerm(entry, term, memo) {
+	let best = null;
+	const consider = (score, f, start, end) => {
+		if (!best || score > best.score) best = { score, hits: [{ field: f.field, lang: f.lang, start, end }] };
+	};
+	entry.fields.forEach(f => {
+		if (term.han) {
+			const at = f.folded.indexOf(term.text);
+			if (at >= 0) {
+				consider(fieldWeight(f) * (at === 0 ? 1.2 : 1), f, at, at + term.text.length);
+			} else if (f.syllables) {
+				const keys = term.charKeys;
+				const run = matchSyllableRun(f.syllables, keys, f.text, keys.length >= 3 ? 1 : 0, false, memo);
+				if (run) consider(fieldWeight(f) * 0.6 * run.quality, f, run.start, run.end);
+			}
+			return;
+		}
+		// a single letter is only the start of a romanized syllable (c for 陳, 鄭), not of any word
+		// that happens to begin with it (CUHK, Ctr.)
+		if (term.text.length > 1) f.words.forEach(w => {
+			if (!term.wordQuality.has(w.word)) term.wordQuality.set(w.word, wordQuality(w.word, term));
+			const q = term.wordQuality.get(w.word);
+			if (q) consider(fieldWeight(f) * q, f, w.start, w.end);
+		});
+		// a lone romanized syllable, e.g. "chan" for 陳, or the start of one while typing ("cha")
+		if (f.syllables && term.key.length >= (term.prefix ? 1 : 2)) {
+			const run = matchSyllableRun(f.syllables, [term.key], f.text, 0, false, memo, term.prefix);
+			if (run) consider(fieldWeight(f) * 0.5 * run.quality, f, run.start, run.end);
+		}
+	});
+	return best;
+}
+
+// consecutive latin terms matched as one romanized name ("Cheng Chi Tung" -> 鄭至東)
+// -> Map(term index -> { score, hits })
+function matchRomanizedRuns(entry, terms, memo) {
+	const found = new Map();
+	const groups = [];
+	let group = [];
+	terms.forEach((term, i) => {
+		if (term.han || /\d/.test(term.text)) { if (group.length) groups.push(group); group = []; }
+		else group.push(i);
+	});
+	if (group.length) groups.push(group);
+	groups.filter(g => g.length >= 2).forEach(g => {
+		const keys = g.map(i => terms[i].key);
+		const prefixLast = terms[g[g.length - 1]].prefix;
+		entry.fields.forEach(f => {
+			if (!f.syllables) return;
+			const run = matchSyllableRun(f.syllables, keys, f.text, 0, true, memo, prefixLast);
+			if (!run) return;
+			// a whole-name hit outranks the same syllables scattered around the name
+			const score = fieldWeight(f) * (0.8 + 0.1 * g.length) * run.quality;
+			g.forEach((i, k) => {
+				if (found.has(i) && found.get(i).score >= score) return;
+				const pos = f.syllables[run.index + k].pos;
+				found.set(i, { score, hits: [{ field: f.field, lang: f.lang, start: pos, end: pos + 1 }] });
+			});
+		});
+	});
+	return found;
+}
+
+// Search the index. Every term has to match somewhere in the doctor; results are ranked
+// by score (ties keep the index order). Returns null for an empty query.
+function searchDoctors(index, query) {
+	if (!index) return null;
+	// the last term is still being typed unless the query ends in a space
+	const typing = !/\s$/.test(query || '');
+	const terms = splitSearchTerms(query).map((term, i, all) => prepareTerm(term, index.romanTable, typing && i === all.length - 1));
+	if (!terms.length) return null;
+	// romanized key -> Map(character keys -> typo match quality), shared by every doctor
+	const memo = new Map();
+	const results = [];
+	index.entries.forEach(entry => {
+		const runs = matchRomanizedRuns(entry, terms, memo);
+		let score = 0;
+		const hits = [];
+		for (let i = 0; i < terms.length; i++) {
+			let best = matchTerm(entry, terms[i], memo);
+			const run = runs.get(i);
+			if (run && (!best || run.score > best.score)) best = run;
+			if (!best) return;
+			score += best.score;
+			hits.push(...best.hits);
+		}
+		results.push({ doc: entry.doc, score, hits });
+	});
+	return results.sort((a, b) => b.score - a.score);
+}
+
+function escapeHtml(text) {
+	return (text || '').toString().replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// text with the [start, end) ranges wrapped in <mark>, everything escaped
+function highlightHtml(text, ranges) {
+	text = (text || '').toString();
+	// merge overlapping / touching ranges so 鄭至東 is one mark, not three
+	const merged = [];
+	(ranges || []).filter(r => r.end > r.start).sort((a, b) => a.start - b.start).forEach(r => {
+		const last = merged[merged.length - 1];
+		if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+		else merged.push({ start: r.start, end: r.end });
+	});
+	let html = '';
+	let at = 0;
+	merged.forEach(r => {
+		html += escapeHtml(text.slice(at, r.start)) + '<mark>' + escapeHtml(text.slice(r.start, r.end)) + '</mark>';
+		at = r.end;
+	});
+	return html + escapeHtml(text.slice(at));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		SEARCH_FIELD_WEIGHTS,
+		QUALIFICATION_SEPARATOR,
+		foldSearchText,
+		romanKey,
+		boundedEditDistance,
+		splitSearchTerms,
+		buildSearchIndex,
+		searchDoctors,
+		escapeHtml,
+		highlightHtml
+	};
+}
@@ -0,0 +1,85 @@
+// Shortlist of saved doctors, kept in localStorage under the doctor's real id (doc_id) so it
+// survives reloads and data refreshes. Each entry keeps a snapshot of the details the member
+// saw when saving, so the next data load can tell them a saved doctor changed or left the network.
+
+const SHORTLIST_STORAGE_KEY = 'mixcare.shortlist.v1';
+
+// doctor object maps kept in the snapshot -> field name used in change notices
+const SHORTLIST_FIELDS = {
+	names: 'name',
+	addresses: 'address',
+	phones: 'phone',
+	openings: 'opening',
+	remarks: 'remark',
+	districts: 'district'
+};
+
+// saved entries, oldest first; a missing, blocked or corrupt store reads as empty
+function readShortlist(storage) {
+	if (!storage) return [];
+	try {
+		const entries = JSON.parse(storage.getItem(SHORTLIST_STORAGE_KEY) || '[]');
+		return Array.isArray(entries) ? entries.filter(e => e && e.id && e.snapshot) : [];
+	} catch (e) {
+		return [];
+	}
+}
+
+// false when the browser refuses (private mode, quota)
+function writeShortlist(storage, entries) {
+	if (!storage) return false;
+	try {
+		storage.setItem(SHORTLIST_STORAGE_KEY, JSON.stringify(entries));
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
+// The per-language maps of a doctor object that a member would notice changing.
+// Same keys as the doctor object, so tData() reads a snapshot like a doctor.
+// Languages derived from another (zh-CN, see chinese.js) are left out: they change with their source.
+function shortlistSnapshot(doc) {
+	const snapshot = {};
+	const derived = doc.derivedLanguages || [];
+	Object.keys(SHORTLIST_FIELDS).forEach(key => {
+		snapshot[key] = Object.assign({}, doc[key] || {});
+		derived.forEach(lang => { delete snapshot[key][lang]; });
+	});
+	return snapshot;
+}
+
+function shortlistEntry(doc, savedAt) {
+	return { id: String(doc.baseId || doc.id), savedAt, snapshot: shortlistSnapshot(doc) };
+}
+
+function sameLabels(a, b) {
+	const keys = new Set(Object.keys(a || {}).concat(Object.keys(b || {})));
+	return [...keys].every(k => ((a || {})[k] || '') === ((b || {})[k] || ''));
+}
+
+// Compare saved entries with freshly loaded doctors (doctorsById: doc_id -> doctor object).
+// -> [{ entry, doc, status: 'ok' | 'changed' | 'removed', changed: ['phone', ...] }]
+function reconcileShortlist(entries, doctorsById) {
+	return entries.map(entry => {
+		const doc = doctorsById.get(entry.id) || null;
+		if (!doc) return { entry, doc, status: 'removed', changed: [] };
+		const current = shortlistSnapshot(doc);
+		const changed = Object.keys(SHORTLIST_FIELDS)
+			.filter(key => !sameLabels(entry.snapshot[key], current[key]))
+			.map(key => SHORTLIST_FIELDS[key]);
+		return { entry, doc, status: changed.length ? 'changed' : 'ok', changed };
+	});
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		SHORTLIST_STORAGE_KEY,
+		SHORTLIST_FIELDS,
+		readShortlist,
+		writeShortlist,
+		shortlistSnapshot,
+		shortlistEntry,
+		reconcileShortlist
+	};
+}
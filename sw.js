@@ -0,0 +1,186 @@
+// Service worker: keeps the directory usable offline (members often look a doctor up
+// underground with no signal). Registered from script.js.
+//
+// - app shell (page, scripts, styles, lookup tables): network first, so the page and its scripts
+//   always come from the same deploy; each response also refreshes the cached copy, which is only
+//   served offline. Files dropped from SHELL_FILES leave the cache on activate.
+// - data/doctors.json: network first with a short timeout, falling back to the cached copy.
+//   The cached copy carries a hash of its contents, so a page that was given the saved copy
+//   is told when a download finishing late turns out to be a new export.
+
+const SHELL_CACHE = 'mixcare-shell';
+const DATA_CACHE = 'mixcare-data';
+const DATA_PATH = '/data/doctors.json';
+// past this, answer from the cache and let the download finish in the background
+const DATA_TIMEOUT_MS = 4000;
+
+const SHELL_FILES = [
+	'/',
+	'/index.html',
+	'/style.css',
+	'/hours.js',
+	'/credentials.js',
+	'/pricing.js',
+	'/freshness.js',
+	'/phones.js',
+	'/clinics.js',
+	'/geo.js',
+	'/search.js',
+	'/filterindex.js',
+	'/mapview.js',
+	'/urlstate.js',
+	'/shortlist.js',
+	'/export.js',
+	'/ingest.js',
+	'/doctors.js',
+	'/chinese.js',
+	'/directory.js',
+	'/synthetic.js',
+	'/i18n.js',
+	'/script.js',
+	'/data/jyutping.json',
+	'/data/holidays.json',
+	'/data/gazetteer.json',
+	'/data/t2s.json',
+	'/locales/en.json',
+	'/locales/zh-HK.json',
+	'/locales/zh-CN.json'
+];
+
+// CDN libraries from index.html; cached when reachable, never blocking the install
+const CDN_FILES = [
+	'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+	'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+	'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/leaflet.css',
+	'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/leaflet.js',
+	'https://cdn.jsdelivr.net/npm/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+	'https://cdn.jsdelivr.net/npm/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+	'https://cdn.jsdelivr.net/npm/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js'
+];
+
+self.addEventListener('install', (event) => {
+	event.waitUntil((async () => {
+		const cache = await caches.open(SHELL_CACHE);
+		// past the HTTP cache, for an offline copy all from this deploy
+		await cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'no-cache' })));
+		await Promise.all(CDN_FILES.map(url => cache.add(url).catch(() => {})));
+		// warm the data cache too, so the first offline visit has doctors to show
+		await fetchData().catch(() => {});
+		await self.skipWaiting();
+	})());
+});
+
+self.addEventListener('activate', (event) => {
+	event.waitUntil((async () => {
+		const keep = [SHELL_CACHE, DATA_CACHE];
+		const names = await caches.keys();
+		// (older workers kept a versioned mixcare-shell-v* cache)
+		await Promise.all(names.filter(n => n.startsWith('mixcare-') && !keep.includes(n)).map(n => caches.delete(n)));
+		const shell = await caches.open(SHELL_CACHE);
+		const stale = (await shell.keys()).filter(req => !shellKey(new URL(req.url)));
+		await Promise.all(stale.map(req => shell.delete(req)));
+		await self.clients.claim();
+	})());
+});
+
+self.addEventListener('fetch', (event) => {
+	const request = event.request;
+	if (request.method !== 'GET') return;
+	const url = new URL(request.url);
+	if (url.origin === location.origin && url.pathname === DATA_PATH) {
+		event.respondWith(dataResponse());
+	} else if (request.mode === 'navigate') {
+		event.respondWith(pageResponse(request));
+	} else if (shellKey(url)) {
+		event.respondWith(shellResponse(request, shellKey(url)));
+	}
+	// anything else (map tiles, geocoding) goes to the network as usual
+});
+
+// cache key for a shell file. Language paths (/zh-hk/script.js) share the root copy.
+function shellKey(url) {
+	if (url.origin !== location.origin) return CDN_FILES.includes(url.href) ? url.href : null;
+	if (SHELL_FILES.includes(url.pathname)) return url.pathname;
+	const file = '/' + url.pathname.split('/').pop();
+	return file !== '/' && SHELL_FILES.includes(file) ? file : null;
+}
+
+// pages: the network when there is one (so a deploy shows up at once), else the cached page
+async function pageResponse(request) {
+	try {
+		const res = await fetch(request);
+		if (res.ok && new URL(request.url).pathname === '/') (await caches.open(SHELL_CACHE)).put('/', res.clone());
+		return res;
+	} catch (e) {
+		const cache = await caches.open(SHELL_CACHE);
+		return (await cache.match('/')) || (await cache.match('/index.html')) || Response.error();
+	}
+}
+
+// Network first, revalidating past the HTTP cache, so a script never comes from an older deploy
+// than the page that loads it; the cached copy only without a connection. The CDN files carry
+// their version in the URL and never change: cache first.
+async function shellResponse(request, key) {
+	const cache = await caches.open(SHELL_CACHE);
+	if (CDN_FILES.includes(key)) {
+		const cached = await cache.match(key);
+		if (cached) return cached;
+	}
+	try {
+		const res = await fetch(request, { cache: 'no-cache' });
+		if (res.ok) cache.put(key, res.clone()).catch(() => {});
+		return res;
+	} catch (e) {
+		return (await cache.match(key)) || Response.error();
+	}
+}
+
+async function sha256(buffer) {
+	const digest = await crypto.subtle.digest('SHA-256', buffer);
+	return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Download doctors.json and store it with its hash and fetch time.
+// -> { res, changed }: changed when it differs from the copy that was cached before
+async function fetchData() {
+	const res = await fetch(DATA_PATH, { cache: 'no-cache' });
+	if (!res.ok) throw new Error('doctors.json: ' + res.status);
+	const body = await res.arrayBuffer();
+	const hash = await sha256(body);
+	const cache = await caches.open(DATA_CACHE);
+	const previous = await cache.match(DATA_PATH);
+	const stored = new Response(body, {
+		headers: {
+			'Content-Type': 'application/json',
+			'X-Data-Hash': hash,
+			'X-Data-Fetched': new Date().toISOString()
+		}
+	});
+	await cache.put(DATA_PATH, stored.clone());
+	return { res: stored, changed: !!previous && previous.headers.get('X-Data-Hash') !== hash };
+}
+
+// open pages showing the saved copy offer a reload once a new export has come in
+async function announceUpdate() {
+	const pages = await self.clients.matchAll({ type: 'window' });
+	pages.forEach(page => page.postMessage({ type: 'data-updated' }));
+}
+
+// X-Data-Source tells the page whether it got live data or the offline copy
+function withSource(res, source) {
+	const headers = new Headers(res.headers);
+	headers.set('X-Data-Source', source);
+	return new Response(res.body, { status: res.status, headers });
+}
+
+async function dataResponse() {
+	const cached = await (await caches.open(DATA_CACHE)).match(DATA_PATH);
+	const download = fetchData();
+	if (!cached) return withSource((await download).res, 'network');
+	const timeout = new Promise(resolve => setTimeout(resolve, DATA_TIMEOUT_MS, null));
+	const fresh = await Promise.race([download.catch(() => null), timeout]);
+	if (fresh) return withSource(fresh.res, 'network');
+	// too slow or no connection: the saved copy now; a late download still updates the cache
+	download.then(late => { if (late.changed) announceUpdate(); }).catch(() => {});
+	return withSource(cached, 'cache');
+}
@@ -0,0 +1,31 @@
+// Generated doctors for load testing. Opening the page with ?synthetic=10000 pads the export
+// up to that many rows with shifted copies of the real ones, so filtering and rendering can be
+// timed at the size of the full network export.
+
+// Copy canonical records (see ingest.js) until there are count rows. Copies get new ids,
+// a numbered name and coordinates nudged up to ~500 m, deterministically.
+function syntheticRecords(records, count) {
+	const out = records.slice();
+	const base = records.length;
+	for (let i = base; base && i < count; i++) {
+		const src = records[i % base];
+		const round = Math.floor(i / base);
+		const copy = Object.assign({}, src, {
+			row: i,
+			// rows of the same doctor in other languages land in the same round, so they still merge
+			id: `${src.id}-s${round}`,
+			name: `${src.name} #${round}`,
+			displayName: `${src.displayName} #${round}`
+		});
+		if (src.lat !== null) copy.lat = src.lat + ((i * 7919) % 101 - 50) / 10000;
+		if (src.lng !== null) copy.lng = src.lng + ((i * 104729) % 101 - 50) / 10000;
+		out.push(copy);
+	}
+	return out;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		syntheticRecords
+	};
+}
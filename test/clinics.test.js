@@ -0,0 +1,45 @@
+// Clinic grouping against the bundled export. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { mergeByDocId } = require('../doctors.js');
+const { ingestDoctors } = require('../ingest.js');
+const { buildClinics, unitKey } = require('../clinics.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+const { records, report } = ingestDoctors(read('doctors.json'));
+const doctors = mergeByDocId(records);
+const { byDoctor } = buildClinics(doctors);
+const clinicOf = id => byDoctor.get(doctors.find(d => String(d.baseId) === String(id)));
+const clinicIds = id => clinicOf(id).doctors.map(d => String(d.baseId));
+
+test('unit numbers are read off the end of the address', () => {
+	assert.strictEqual(unitKey('九龍佐敦彌敦道301-309號嘉賓大廈13樓1301室'), '1301');
+	assert.strictEqual(unitKey('馬鞍山錦泰苑錦泰商場103號舖'), unitKey('馬鞍山錦泰苑錦泰商場103號'));
+	assert.strictEqual(unitKey('馬鞍山富輝花園商場1樓75號A舖'), '75a');
+	assert.strictEqual(unitKey('大埔新達廣場L170舖'), 'l170');
+	assert.strictEqual(unitKey('彌敦道238號18樓'), '');
+});
+
+test('a geocode shared by two buildings does not merge their clinics', () => {
+	// 27 is in 香港仔 (南區); 48 and 90-93 are in 嘉賓大廈, 佐敦, and the export gives them all one point
+	assert.deepStrictEqual(clinicIds(27), ['27']);
+	assert.deepStrictEqual(clinicIds(90), ['90', '91', '92']);
+	assert.notStrictEqual(clinicOf(48), clinicOf(90));
+	assert.notStrictEqual(clinicOf(93), clinicOf(90));
+});
+
+test('the same unit written differently still groups', () => {
+	assert.deepStrictEqual(clinicIds(161), ['161', '162']);
+	assert.deepStrictEqual(clinicIds(179), ['179', '180']);
+});
+
+test('the shared geocode is reported as a clash', () => {
+	const clashes = report.issues.coordinateClashes;
+	assert.strictEqual(clashes.length, 1);
+	assert.deepStrictEqual(clashes[0].districts.slice().sort(), ['南區', '油尖旺區']);
+	const ids = clashes[0].rows.map(row => records.find(r => r.row === row).id);
+	assert.deepStrictEqual(ids.map(String), ['27', '48', '90', '91', '92', '93']);
+});
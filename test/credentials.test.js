@@ -0,0 +1,42 @@
+// Name and credential parsing. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseDoctorName, credentialFacets, CM_FACET } = require('../credentials.js');
+const { ingestDoctors } = require('../ingest.js');
+const { mergeByDocId } = require('../doctors.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+
+test('a bare 中醫 after the name is a Chinese-medicine title', () => {
+	const parsed = parseDoctorName('吳樂怡中醫');
+	assert.strictEqual(parsed.displayName, '吳樂怡');
+	assert.strictEqual(parsed.title, '中醫');
+	assert.deepStrictEqual(credentialFacets(parsed.title, parsed.qualifications), [CM_FACET]);
+	// the longer titles still win
+	assert.strictEqual(parseDoctorName('陳大文註冊中醫師').title, '註冊中醫師');
+	assert.strictEqual(parseDoctorName('陳大文中醫師').title, '中醫師');
+});
+
+test('a practice named ...中醫 keeps its whole name and no title', () => {
+	assert.deepStrictEqual([parseDoctorName('怡健堂中醫').displayName, parseDoctorName('怡健堂中醫').title], ['怡健堂中醫', '']);
+	assert.strictEqual(parseDoctorName('康德堂中醫診所').title, '');
+});
+
+test('every named Chinese-medicine practitioner in the export gets the CMP option', () => {
+	const cm = mergeByDocId(ingestDoctors(read('doctors.json')).records).filter(d => d.specialties['zh-HK'] === '中醫');
+	// (李熊輝醫生 is listed under 中醫 with a Western-medicine title)
+	const practitioners = cm.filter(d => d.records['zh-HK'].title && d.records['zh-HK'].title !== '醫生');
+	assert.strictEqual(practitioners.length, 67);
+	assert.ok(practitioners.every(d => d.qualificationFacets.includes(CM_FACET)));
+});
+
+test('MBChB is written in its usual mixed case', () => {
+	const [q] = parseDoctorName('何思翹醫生-MBCHBCUHK1993').qualifications;
+	assert.strictEqual(q.code, 'MBCHB');
+	assert.strictEqual(q.label, 'MBChB (CUHK) 1993');
+	assert.strictEqual(q.facet, 'MBChB (CUHK)');
+	assert.strictEqual(parseDoctorName('鄭至東醫生-MBBS(HKU)').qualifications[0].label, 'MBBS (HKU)');
+});
@@ -0,0 +1,99 @@
+// DoctorDirectory against the bundled export. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DoctorDirectory } = require('../directory.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+const directory = new DoctorDirectory(read('doctors.json'), { romanTable: read('jyutping.json').chars });
+const ids = ({ results }) => results.map(r => String(r.doctor.baseId));
+
+test('specialty narrows to that specialty', () => {
+	const { total, results } = directory.query({ specialty: '普通科' });
+	assert.strictEqual(total, 320);
+	assert.ok(results.every(r => r.doctor.specialties['zh-HK'] === '普通科'));
+});
+
+test('area and specialty combine', () => {
+	assert.deepStrictEqual(ids(directory.query({ specialty: '中醫', area: '大圍' })), ['506', '813']);
+	assert.strictEqual(directory.query({ specialty: '普通科', area: '銅鑼灣' }).results.every(r => r.doctor.areas['zh-HK'] === '銅鑼灣'), true);
+});
+
+test('text search finds addresses and ranks the best match first', () => {
+	const { total, results } = directory.query({ text: '記利佐治' });
+	assert.strictEqual(total, 1);
+	assert.strictEqual(String(results[0].doctor.baseId), '1');
+	assert.ok(results[0].hits.some(h => h.field === 'address'));
+	assert.strictEqual(directory.query({ text: 'zzzz' }).total, 0);
+});
+
+test('romanized names match in government spelling and Jyutping', () => {
+	assert.deepStrictEqual(ids(directory.query({ text: 'Cheng Chi Tung' })).slice(0, 1), ['1']);
+	assert.deepStrictEqual(ids(directory.query({ text: 'zeng zi dung' })).slice(0, 1), ['1']);
+});
+
+test('sort by price puts the lowest co-pay first and unreadable ones last', () => {
+	const copays = directory.query({ sort: 'price' }).results.map(r => r.doctor.pricing.copay);
+	const known = copays.filter(c => c !== null);
+	assert.deepStrictEqual(known, known.slice().sort((a, b) => a - b));
+	const firstUnknown = copays.indexOf(null);
+	if (firstUnknown >= 0) assert.ok(copays.slice(firstUnknown).every(c => c === null));
+});
+
+test('limit caps the results but total counts every match', () => {
+	const { total, results } = directory.query({ area: '銅鑼灣', limit: 5 });
+	assert.strictEqual(total, 18);
+	assert.strictEqual(results.length, 5);
+});
+
+test('lang attaches a summary in that language', () => {
+	const [first] = directory.query({ area: '銅鑼灣', lang: 'zh-HK', limit: 1 }).results;
+	assert.strictEqual(first.summary.name, '鄭至東醫生');
+	assert.strictEqual(first.summary.district, '灣仔區');
+	assert.strictEqual(first.summary.phone, '+852 2577 5906');
+});
+
+test('facets count each option under the other criteria', () => {
+	const facets = directory.facets({ specialty: '中醫' }, 'zh-HK');
+	// a field's own selection doesn't narrow its own options
+	assert.deepStrictEqual(facets.specialty, [{ value: '中醫', count: 114 }, { value: '普通科', count: 320 }]);
+	assert.strictEqual(facets.district.reduce((n, f) => n + f.count, 0), 114);
+	assert.deepStrictEqual(directory.facets({}, 'zh-HK').state, [
+		{ value: '九龍', count: 163 },
+		{ value: '新界', count: 175 },
+		{ value: '香港島', count: 96 }
+	]);
+});
+
+test('byId looks doctors up by doc_id', () => {
+	assert.strictEqual(directory.byId(1).names['zh-HK'], '鄭至東醫生');
+	assert.strictEqual(directory.byId('1'), directory.byId(1));
+	assert.strictEqual(directory.byId('no-such-id'), null);
+});
+
+test('simplified labels find the traditional rows with a t2s table', () => {
+	const simplified = new DoctorDirectory(read('doctors.json'), { simplifiedTable: read('t2s.json').chars });
+	assert.strictEqual(simplified.query({ district: '湾仔区' }).total, directory.query({ district: '灣仔區' }).total);
+	assert.strictEqual(simplified.byId(1).names['zh-CN'], '郑至东医生');
+});
+
+test('a query and its facets run the search once', () => {
+	const searchApi = require('../search.js');
+	const original = searchApi.searchDoctors;
+	let calls = 0;
+	searchApi.searchDoctors = (...args) => { calls++; return original(...args); };
+	try {
+		const fresh = new DoctorDirectory(read('doctors.json'), { romanTable: read('jyutping.json').chars });
+		const criteria = { text: 'chan', specialty: '普通科' };
+		const { total } = fresh.query(criteria);
+		fresh.facetOptions(criteria, 'zh-HK');
+		assert.strictEqual(calls, 1);
+		assert.strictEqual(fresh.facets(criteria, 'zh-HK').specialty.find(f => f.value === '普通科').count, total);
+		fresh.query({ text: 'chan ' });
+		assert.strictEqual(calls, 2);
+	} finally {
+		searchApi.searchDoctors = original;
+	}
+});
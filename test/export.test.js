@@ -0,0 +1,24 @@
+// CSV export. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ingestDoctors } = require('../ingest.js');
+const { toCsv } = require('../export.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+const { records } = ingestDoctors(read('doctors.json'));
+const rows = (recs, columns) => toCsv(recs, columns).replace(/^\uFEFF/, '').trim().split('\r\n').slice(1);
+
+test('phones are written without the leading + a spreadsheet would take for a formula', () => {
+	assert.deepStrictEqual(rows([records[0]], ['id', 'phone', 'fax']), ['1,852 2577 5906,852 2504 3588']);
+	const csv = toCsv(records, ['phone', 'phone2', 'fax']);
+	assert.ok(!/(^|,)"?'?\+/m.test(csv));
+});
+
+test('free text that reads as a formula is escaped', () => {
+	const rec = Object.assign({}, records[0], { remark: '=HYPERLINK("http://example.com")', note: '-5', phone: '+44 20 7946 0000' });
+	assert.deepStrictEqual(rows([rec], ['remark', 'note', 'phone']), ['"\'=HYPERLINK(""http://example.com"")","\'-5","\'+44 20 7946 0000"']);
+	assert.deepStrictEqual(rows([Object.assign({}, rec, { lat: -1.5 })], ['lat']), ['-1.5']);
+});
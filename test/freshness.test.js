@@ -0,0 +1,38 @@
+// Staleness of the bundled export. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ingestDoctors } = require('../ingest.js');
+const { mergeByDocId } = require('../doctors.js');
+const { exportDate, isStale, parseUpdateTimestamp } = require('../freshness.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+const { records, report } = ingestDoctors(read('doctors.json'));
+const doctors = mergeByDocId(records);
+
+test('update timestamps are read in US order', () => {
+	assert.strictEqual(parseUpdateTimestamp('4/14/23'), '2023-04-14');
+	assert.strictEqual(parseUpdateTimestamp('2/30/23'), null);
+});
+
+test('staleness is measured from the export\'s newest row, not from today', () => {
+	assert.strictEqual(exportDate(records), '2026-05-01');
+	assert.strictEqual(report.staleAsOf, '2026-05-01');
+	const later = ingestDoctors(read('doctors.json'), { today: '2030-01-01' }).report;
+	assert.ok(later.staleByDistrict.reduce((n, e) => n + e.stale, 0) > report.staleByDistrict.reduce((n, e) => n + e.stale, 0));
+});
+
+test('the default threshold leaves the rows confirmed in the later rounds unmarked', () => {
+	const stale = doctors.filter(d => isStale(d.updatedOn, report.staleAsOf));
+	// the 2023 rows nobody has re-confirmed since; everything from 2024 on is current
+	assert.strictEqual(stale.length, 286);
+	assert.ok(stale.every(d => d.updatedOn < '2023-05-01'));
+	assert.strictEqual(report.staleByDistrict.reduce((n, e) => n + e.stale, 0), 286);
+});
+
+test('the report states the threshold it used, also when none was given', () => {
+	assert.strictEqual(report.staleAfterDays, 1095);
+	assert.strictEqual(ingestDoctors(read('doctors.json'), { staleAfterDays: 30 }).report.staleAfterDays, 30);
+});
@@ -0,0 +1,48 @@
+// Opening hours and the public-holiday table. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const hours = require('../hours.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+hours.setPublicHolidays(read('holidays.json'));
+
+// Monday-Saturday mornings; public holidays 8pm to 1am the next day
+const week = [null, 1, 2, 3, 4, 5, 6].map(day => (day ? [{ start: 540, end: 780 }] : null));
+const schedule = { raw: '', week, holiday: [{ start: 1200, end: 1500 }], byAppointment: false, unparsed: [], ok: true };
+
+test('hongKongNow marks public holidays and the day after one', () => {
+	// 2026-10-19 (重陽節翌日) 10:00 and 2026-10-20 00:30 in Hong Kong
+	assert.deepStrictEqual(hours.hongKongNow(new Date('2026-10-19T02:00:00Z')), { day: 1, minutes: 600, date: '2026-10-19', holiday: true, holidayBefore: false });
+	const after = hours.hongKongNow(new Date('2026-10-19T16:30:00Z'));
+	assert.strictEqual(after.holiday, false);
+	assert.strictEqual(after.holidayBefore, true);
+});
+
+test('a year missing from data/holidays.json is unknown, not an ordinary day', () => {
+	assert.strictEqual(hours.isPublicHoliday('2026-12-25'), true);
+	assert.strictEqual(hours.isPublicHoliday('2026-12-24'), false);
+	assert.strictEqual(hours.isPublicHoliday('2031-12-25'), null);
+	const now = hours.hongKongNow(new Date('2031-12-25T02:00:00Z'));
+	assert.strictEqual(now.holiday, null);
+	// Thursday 10:00: open on an ordinary day, closed on a holiday
+	assert.strictEqual(hours.isOpenAt(schedule, now.day, now.minutes, now.holiday, now.holidayBefore), null);
+	// Thursday 15:00 is closed either way
+	assert.strictEqual(hours.isOpenAt(schedule, now.day, 900, null, null), false);
+});
+
+test('overnight holiday hours carry into the next morning only after a holiday', () => {
+	// Tuesday 00:30
+	assert.strictEqual(hours.isOpenAt(schedule, 2, 30, false, true), true);
+	assert.strictEqual(hours.isOpenAt(schedule, 2, 30, false, false), false);
+	assert.strictEqual(hours.isOpenAt(schedule, 2, 30, false, null), null);
+});
+
+test('the validation report warns when today\'s year has no holiday table', () => {
+	const { ingestDoctors } = require('../ingest.js');
+	const raw = read('doctors.json');
+	assert.deepStrictEqual(ingestDoctors(raw, { today: '2031-01-02' }).report.issues.holidaysMissing, [{ year: 2031 }]);
+	assert.deepStrictEqual(ingestDoctors(raw, { today: '2026-10-19' }).report.issues.holidaysMissing, []);
+});
@@ -0,0 +1,44 @@
+// Full-text search against the bundled export. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { mergeByDocId } = require('../doctors.js');
+const { ingestDoctors } = require('../ingest.js');
+const { buildSearchIndex, searchDoctors } = require('../search.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8'));
+const index = buildSearchIndex(mergeByDocId(ingestDoctors(read('doctors.json')).records), read('jyutping.json').chars);
+const names = query => (searchDoctors(index, query) || []).map(r => r.doc.names['zh-HK']);
+
+test('a syllable still being typed matches the start of a reading', () => {
+	for (const [query, surname] of [['cha', '陳'], ['tsa', '陳'], ['won', '王'], ['cheu', '張']]) {
+		const found = names(query);
+		assert.ok(found.length > 0, `${query} finds nobody`);
+		assert.ok(found[0].startsWith(surname), `${query} -> ${found[0]}`);
+	}
+});
+
+test('a partly typed full name still finds the doctor', () => {
+	assert.strictEqual(names('cheng chi tu')[0], '鄭至東醫生');
+	assert.strictEqual(names('cheng chi tung')[0], '鄭至東醫生');
+	assert.ok(names('cheng c').includes('鄭至東醫生'));
+});
+
+test('a whole syllable ranks above one that only starts with it', () => {
+	const results = searchDoctors(index, 'chan');
+	assert.ok(results[0].doc.names['zh-HK'].startsWith('陳'));
+	assert.ok(results[0].score > results[results.length - 1].score);
+});
+
+test('a finished term (space after it) has to match whole', () => {
+	assert.strictEqual(names('cheng chi tu ').length, 0);
+});
+
+test('a single letter matches name initials, not any word starting with it', () => {
+	const found = names('c');
+	assert.ok(found.includes('鄭至東醫生'));
+	assert.ok(!found.includes('JustCareSpecialistMed.Ctr.'));
+	assert.ok((searchDoctors(index, 'c') || []).every(r => r.hits.every(h => h.field === 'name')));
+});
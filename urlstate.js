@@ -0,0 +1,65 @@
+// Filter state <-> query string, so a search can be bookmarked, shared and walked through
+// with back/forward: ?lang=zh-hk&specialty=普通科&district=沙田區&open=sunday
+// Specialty / city / region (state) / district / area are written as labels in the link's language;
+// script.js maps them onto whichever language the page is shown in.
+
+// state key -> query parameter, in the order they appear in the link
+const URL_STATE_PARAMS = {
+	lang: 'lang',
+	q: 'q',
+	specialty: 'specialty',
+	qualification: 'qual',
+	city: 'city',
+	state: 'region',
+	district: 'district',
+	area: 'area',
+	open: 'open',
+	day: 'day',
+	time: 'time',
+	copay: 'copay',
+	place: 'place',
+	radius: 'radius',
+	sort: 'sort',
+	view: 'view',
+	group: 'group'
+};
+
+// Empty values are left out. city is the exception: null means "the default city",
+// while "city=" in the link means all cities. Parameters in search that aren't filters
+// (?perf, ?synthetic=, campaign tags) are kept ahead of them.
+function serializeFilterState(state, search) {
+	const params = new URLSearchParams(search || '');
+	Object.values(URL_STATE_PARAMS).forEach(param => params.delete(param));
+	Object.entries(URL_STATE_PARAMS).forEach(([key, param]) => {
+		const value = state[key];
+		const keep = key === 'city' ? value !== null && value !== undefined : !!value;
+		if (keep) params.set(param, value);
+	});
+	return params.toString();
+}
+
+// "?q=chan&city=" -> { q: 'chan', city: '', specialty: '', ... }; missing city stays null
+function parseFilterState(search) {
+	const params = new URLSearchParams(search || '');
+	const state = {};
+	Object.entries(URL_STATE_PARAMS).forEach(([key, param]) => {
+		if (params.has(param)) state[key] = params.get(param).trim();
+		else state[key] = key === 'city' ? null : '';
+	});
+	// day / time only mean something for "open on a chosen day/time"
+	if (state.open !== 'at') {
+		state.day = '';
+		state.time = '';
+	}
+	if (state.view !== 'map') state.view = '';
+	if (state.group !== 'clinic') state.group = '';
+	return state;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		URL_STATE_PARAMS,
+		serializeFilterState,
+		parseFilterState
+	};
+}